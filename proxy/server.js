@@ -0,0 +1,155 @@
+// ===== PRICE TRACKER PROXY =====
+// Minimal CORS relay for the dashboard. Forwards GET requests to allow-listed upstreams only and
+// injects API keys server-side, so keys never reach the browser.
+//
+//   METALPRICE_API_KEY=... PORT=8787 ALLOWED_ORIGIN=https://your.dashboard node proxy/server.js
+//
+// Then set "Proxy URL" in the dashboard settings to http://localhost:8787 (or wherever this runs).
+// ALLOWED_ORIGIN is required (comma-separated for several dashboards): the proxy spends the server's
+// key on every request, so other web pages must not be able to call it. Requests without an Origin
+// header (scripts, curl, server-side callers) are refused too; send one to check the proxy by hand:
+//
+//   curl -H 'Origin: https://your.dashboard' http://localhost:8787/health
+const http = require('http');
+const https = require('https');
+
+const PORT = parseInt(process.env.PORT, 10) || 8787;
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGIN || '').split(',').map(o => o.trim().replace(/\/+$/, '')).filter(Boolean);
+const UPSTREAM_TIMEOUT = 10000;
+const MAX_RESPONSE_BYTES = 2 * 1024 * 1024;
+
+// Upstream host -> query parameter to inject and the environment variable holding its key
+const UPSTREAMS = {
+    'api.metalpriceapi.com': { keyParam: 'api_key', keyEnv: 'METALPRICE_API_KEY' },
+    'open.er-api.com': {},
+    // Default news feeds (static/core.js defaultNewsFeeds); add hosts here for custom feeds
+    'www.coindesk.com': {},
+    'cointelegraph.com': {},
+    'www.investing.com': {}
+};
+
+function corsHeaders(origin) {
+    return ALLOWED_ORIGINS.includes(origin)
+        ? { 'Access-Control-Allow-Origin': origin, Vary: 'Origin' }
+        : { Vary: 'Origin' };
+}
+
+function send(res, status, body, origin) {
+    res.writeHead(status, {
+        'Content-Type': 'application/json',
+        ...corsHeaders(origin),
+        'Cache-Control': 'no-store'
+    });
+    res.end(JSON.stringify(body));
+}
+
+function buildUpstreamUrl(raw) {
+    let target;
+    try {
+        target = new URL(raw);
+    } catch {
+        throw new Error('Invalid upstream URL');
+    }
+    if (target.protocol !== 'https:') {
+        throw new Error('Only https upstreams are allowed');
+    }
+    const upstream = UPSTREAMS[target.hostname];
+    if (!upstream) {
+        throw new Error(`Upstream not allowed: ${target.hostname}`);
+    }
+    // The browser's own key (if the user saved one) wins over the server key
+    if (upstream.keyParam && !target.searchParams.get(upstream.keyParam)) {
+        const key = process.env[upstream.keyEnv];
+        if (!key) throw new Error(`${upstream.keyEnv} is not set on the proxy`);
+        target.searchParams.set(upstream.keyParam, key);
+    }
+    return target;
+}
+
+function forward(target, res, origin) {
+    const upstreamReq = https.get(target, { headers: { Accept: 'application/json, application/rss+xml, application/atom+xml, text/xml;q=0.9' } }, (upstreamRes) => {
+        const chunks = [];
+        let size = 0;
+        upstreamRes.on('data', (chunk) => {
+            size += chunk.length;
+            if (size > MAX_RESPONSE_BYTES) {
+                upstreamReq.destroy(new Error('Upstream response too large'));
+                return;
+            }
+            chunks.push(chunk);
+        });
+        upstreamRes.on('end', () => {
+            if (res.headersSent) return;
+            res.writeHead(upstreamRes.statusCode || 502, {
+                'Content-Type': upstreamRes.headers['content-type'] || 'application/json',
+                ...corsHeaders(origin),
+                'Cache-Control': 'no-store'
+            });
+            res.end(Buffer.concat(chunks));
+        });
+    });
+    upstreamReq.setTimeout(UPSTREAM_TIMEOUT, () => upstreamReq.destroy(new Error('Upstream timed out')));
+    upstreamReq.on('error', (error) => {
+        // Never echo the upstream URL back; it may carry the injected key
+        console.error(`[proxy] ${target.hostname}: ${error.message}`);
+        if (!res.headersSent) send(res, 502, { error: error.message }, origin);
+    });
+}
+
+const server = http.createServer((req, res) => {
+    // Browsers always send Origin on cross-origin requests; pages other than the dashboard are refused,
+    // and so is anything that sends none, since nothing else stops it spending the key
+    const origin = req.headers.origin;
+    if (!origin) {
+        send(res, 403, { error: 'Origin header required' }, origin);
+        return;
+    }
+    if (!ALLOWED_ORIGINS.includes(origin)) {
+        send(res, 403, { error: 'Origin not allowed' }, origin);
+        return;
+    }
+    if (req.method === 'OPTIONS') {
+        res.writeHead(204, {
+            ...corsHeaders(origin),
+            'Access-Control-Allow-Methods': 'GET',
+            'Access-Control-Max-Age': '86400'
+        });
+        res.end();
+        return;
+    }
+    if (req.method !== 'GET') {
+        send(res, 405, { error: 'Method not allowed' }, origin);
+        return;
+    }
+
+    const { pathname, searchParams } = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    if (pathname === '/health') {
+        send(res, 200, { ok: true, upstreams: Object.keys(UPSTREAMS) }, origin);
+        return;
+    }
+    if (pathname !== '/proxy') {
+        send(res, 404, { error: 'Not found' }, origin);
+        return;
+    }
+
+    let target;
+    try {
+        target = buildUpstreamUrl(searchParams.get('url'));
+    } catch (error) {
+        send(res, 400, { error: error.message }, origin);
+        return;
+    }
+    forward(target, res, origin);
+});
+
+if (require.main === module) {
+    if (ALLOWED_ORIGINS.length === 0) {
+        console.error('[proxy] ALLOWED_ORIGIN must be set to the dashboard origin, e.g. https://your.dashboard');
+        process.exit(1);
+    }
+    server.listen(PORT, () => {
+        console.log(`[proxy] listening on http://localhost:${PORT} for ${Object.keys(UPSTREAMS).join(', ')}`);
+    });
+}
+
+module.exports = { server, buildUpstreamUrl, UPSTREAMS };
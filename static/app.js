@@ -9,16 +9,31 @@ class PriceTracker {
         this.currentAsset = 'btc';
         this.currentCategory = 'crypto';
         this.allPrices = {};
+        this.quotes = {};
         this.previousPrices = {};
+        this.previousQuotes = {};
         this.priceHistory = {};
         this.api = new UniversalAPI();
         this.storage = new DataStorage();
         this.analytics = new Analytics();
         this.alertSystem = new AlertSystem();
+        this.alertSystem.priceConverter = (price, asset, currency) => this.api.convertAt(price, asset, currency);
         this.themeManager = new ThemeManager();
         this.settings = this.storage.loadSettings();
+        this.applyConsensusSettings();
         this.pinnedAssets = JSON.parse(localStorage.getItem('pinnedAssets') || '[]');
         this.refreshInterval = null;
+        this.bigMacRelease = null;
+        this.news = [];
+        this.chartHistory = null;
+        // Last 24h per asset resampled to one slot per poll; change figures and indicators read these
+        this.series = {};
+        this.staleSeries = new Set();
+        this.seriesTimer = null;
+        this.pendingWrites = Promise.resolve();
+        this.stream = null;
+        this.streamRenderTimer = null;
+        this.streamHistoryInterval = 10000;
         this.isLoading = false;
         this.init();
     }
@@ -34,28 +49,46 @@ class PriceTracker {
         
         this.setupCategoryTabs();
         this.setupAssetTabs();
-        this.allPrices = { ...this.api.fallbackPrices };
+        // Start from the last good quotes; built-in placeholders only where nothing was ever fetched
+        this.api.getUserSelectedAssets().forEach(asset => {
+            const quote = this.api.getStoredQuote(asset);
+            this.quotes[asset] = quote;
+            this.allPrices[asset] = quote.price;
+        });
         this.initChart();
         this.updateDisplay();
         this.updateAssetsGrid();
+        this.setupNewsFilter();
         this.loadNews();
         this.setupHotkeys();
-        
-        // Load saved price history
-        userAssets.forEach(asset => {
-            const savedHistory = this.storage.loadHistory(asset);
-            if (savedHistory && savedHistory.length > 0) {
-                this.priceHistory[asset] = savedHistory;
-            }
-        });
+        this.setupQuotaWarnings();
         
         setTimeout(async () => {
+            await this.loadSavedHistory(this.api.getUserSelectedAssets());
             await this.api.fetchForexRates();
+            this.renderBigMacPanel();
+            this.backfillHistory(this.api.getUserSelectedAssets());
             this.fetchAllPrices();
             this.startAutoRefresh();
+            this.startStreaming();
         }, 100);
     }
 
+    applyConsensusSettings() {
+        this.api.setConsensus({
+            enabled: this.settings.consensusEnabled,
+            tolerance: this.settings.consensusTolerance / 100
+        });
+    }
+
+    setupQuotaWarnings() {
+        window.addEventListener('apiQuotaWarning', (e) => {
+            const { provider, used, quota } = e.detail;
+            const label = this.api.apiKeyProviders[provider]?.label || provider;
+            this.showErrorMessage(`${label} has used ${used} of ${quota} requests today.`);
+        });
+    }
+
     setupHotkeys() {
         document.addEventListener('keydown', (e) => {
             if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') return;
@@ -90,6 +123,7 @@ class PriceTracker {
                 tab.classList.add('active');
                 this.currentCategory = category;
                 this.setupAssetTabs();
+                this.renderNews();
             };
         });
         
@@ -125,6 +159,117 @@ class PriceTracker {
         if (!assets.includes(this.currentAsset) && assets.length > 0) {
             this.switchAsset(assets[0]);
         }
+        this.renderBigMacPanel();
+    }
+
+    async renderBigMacPanel() {
+        const panel = document.getElementById('bigMacPanel');
+        const tableEl = document.getElementById('bigMacTable');
+        const releaseEl = document.getElementById('bigMacRelease');
+        if (!panel || !tableEl) return;
+
+        const visible = this.currentCategory === 'bigmac';
+        panel.style.display = visible ? 'block' : 'none';
+        if (!visible) return;
+
+        const index = this.api.bigMac;
+        try {
+            await index.load();
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to load Big Mac dataset:', error);
+            tableEl.innerHTML = '<p style="color: var(--text-secondary);">Unable to load Big Mac data</p>';
+            return;
+        }
+
+        const releases = index.getReleases();
+        if (!releases.includes(this.bigMacRelease)) {
+            this.bigMacRelease = index.getLatestRelease();
+        }
+        if (releaseEl) {
+            releaseEl.innerHTML = '';
+            releases.slice().reverse().forEach(date => {
+                const opt = document.createElement('option');
+                opt.value = date;
+                opt.textContent = date;
+                opt.selected = date === this.bigMacRelease;
+                releaseEl.appendChild(opt);
+            });
+            releaseEl.onchange = () => {
+                this.bigMacRelease = releaseEl.value;
+                this.renderBigMacPanel();
+            };
+        }
+
+        // Only the newest release is valued against live rates; older ones use their published rate
+        const isLatest = this.bigMacRelease === index.getLatestRelease();
+        const valuations = index.getValuations(isLatest ? this.api.forexRates : {}, this.bigMacRelease);
+
+        const table = document.createElement('table');
+        table.className = 'bigmac-table';
+        const headRow = document.createElement('tr');
+        ['#', 'Country', 'Local price', 'USD price', 'Implied PPP', 'Market rate', 'vs USD'].forEach(text => {
+            const th = document.createElement('th');
+            th.textContent = text;
+            headRow.appendChild(th);
+        });
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+        const tbody = document.createElement('tbody');
+
+        valuations.forEach((v, i) => {
+            const tr = document.createElement('tr');
+            const cells = [
+                String(i + 1),
+                v.name,
+                `${v.localPrice.toLocaleString()} ${v.currency_code}`,
+                `$${v.dollarPrice.toFixed(2)}`,
+                v.impliedRate.toFixed(v.impliedRate < 10 ? 3 : 1),
+                v.marketRate.toFixed(v.marketRate < 10 ? 3 : 1),
+                v.iso_a3 === 'USA' ? '—' : `${v.valuation >= 0 ? '+' : ''}${v.valuation.toFixed(1)}%`
+            ];
+            cells.forEach((text, col) => {
+                const td = document.createElement('td');
+                td.textContent = text;
+                if (col === 6 && v.iso_a3 !== 'USA') {
+                    td.className = v.valuation >= 0 ? 'positive' : 'negative';
+                }
+                tr.appendChild(td);
+            });
+            tr.addEventListener('click', () => this.renderBigMacHistory(v.iso_a3));
+            tbody.appendChild(tr);
+        });
+
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        tableEl.innerHTML = '';
+        tableEl.appendChild(table);
+    }
+
+    renderBigMacHistory(iso) {
+        const container = document.getElementById('bigMacHistory');
+        if (!container) return;
+
+        const history = this.api.bigMac.getCountryHistory(iso, this.api.forexRates);
+        container.innerHTML = '';
+        if (history.length === 0) return;
+
+        const title = document.createElement('h4');
+        title.style.marginBottom = '0.5rem';
+        title.textContent = `${history[0].name} across releases`;
+        container.appendChild(title);
+
+        history.slice().reverse().forEach(v => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex;justify-content:space-between;font-size:0.85rem;padding:0.25rem 0;border-bottom:1px solid var(--border);';
+            const date = document.createElement('span');
+            date.textContent = `${v.date} — ${v.localPrice.toLocaleString()} ${v.currency_code}`;
+            const valuation = document.createElement('span');
+            valuation.className = v.valuation >= 0 ? 'positive' : 'negative';
+            valuation.textContent = iso === 'USA' ? 'base' : `${v.valuation >= 0 ? '+' : ''}${v.valuation.toFixed(1)}%`;
+            row.appendChild(date);
+            row.appendChild(valuation);
+            container.appendChild(row);
+        });
     }
 
     switchAsset(asset) {
@@ -134,6 +279,7 @@ class PriceTracker {
         });
         this.updateDisplay();
         this.updateChart();
+        this.renderNews();
     }
 
     async fetchAllPrices() {
@@ -143,31 +289,32 @@ class PriceTracker {
         this.showLoadingState();
         
         try {
-            const userAssets = this.api.getUserSelectedAssets();
+            const selectedAssets = this.api.getUserSelectedAssets();
+            // Assets covered by a live stream are updated tick by tick, not polled
+            const streamedAssets = selectedAssets.filter(asset => this.isStreamed(asset));
+            const userAssets = selectedAssets.filter(asset => !this.isStreamed(asset));
             
-            const pricePromises = userAssets.map(async asset => {
-                try {
-                    const price = await this.api.fetchPrice(asset);
-                    return { asset, price: price > 0 ? price : this.api.fallbackPrices[asset] };
-                } catch {
-                    return { asset, price: this.api.fallbackPrices[asset] };
-                }
-            });
-            
-            const results = await Promise.all(pricePromises);
+            const quotes = await this.api.fetchQuotes(userAssets);
             
             this.previousPrices = { ...this.allPrices };
+            this.previousQuotes = { ...this.quotes };
             const newPrices = {};
-            results.forEach(({ asset, price }) => {
-                newPrices[asset] = price;
+            streamedAssets.forEach(asset => {
+                newPrices[asset] = this.allPrices[asset];
+            });
+            userAssets.forEach(asset => {
+                const quote = quotes[asset];
+                if (!quote) return;
+                this.quotes[asset] = quote;
+                this.api.recordQuote(asset, quote);
+                newPrices[asset] = quote.price;
             });
             
             this.allPrices = newPrices;
-            this.api.lastPrices = { ...newPrices };
             this.api.saveLastPrices();
             
             this.updatePriceHistory();
-            this.alertSystem.checkAlerts(this.allPrices, this.previousPrices);
+            this.alertSystem.checkAlerts(this.allPrices, this.previousPrices, this.quotes, this.previousQuotes);
             this.updateDisplay();
             this.updateAssetsGrid();
             this.updateChart();
@@ -191,46 +338,282 @@ class PriceTracker {
     updatePriceHistory() {
         const timestamp = Date.now();
         Object.keys(this.allPrices).forEach(asset => {
-            if (!this.priceHistory[asset]) {
-                this.priceHistory[asset] = [];
-            }
-            this.priceHistory[asset].unshift({
-                time: timestamp,
-                price: this.allPrices[asset]
-            });
-            if (this.priceHistory[asset].length > 100) {
-                this.priceHistory[asset] = this.priceHistory[asset].slice(0, 100);
+            if (this.isStreamed(asset)) return;
+            this.recordPrice(asset, this.allPrices[asset], timestamp, this.quotes[asset]);
+        });
+    }
+
+    // Recent points stay in memory for rendering; the full series lives in the history store
+    async loadSavedHistory(assets) {
+        await this.storage.ready;
+        await Promise.all(assets.map(async asset => {
+            const savedHistory = await this.storage.loadHistory(asset, { limit: 100 });
+            if (savedHistory.length > 0) {
+                this.priceHistory[asset] = savedHistory;
             }
-            if (this.priceHistory[asset].length % 10 === 0) {
-                this.storage.saveHistory(this.priceHistory[asset], asset);
+        }));
+        this.updateDisplay();
+        this.updateAssetsGrid();
+        this.refreshNativeChart();
+        this.scheduleSeriesRefresh(assets);
+    }
+
+    recordPrice(asset, price, timestamp, quote = null) {
+        if (!this.priceHistory[asset]) {
+            this.priceHistory[asset] = [];
+        }
+        const entry = {
+            time: timestamp,
+            price: price,
+            source: quote?.source || 'unknown',
+            status: quote?.status || 'live'
+        };
+        this.priceHistory[asset].unshift(entry);
+        if (this.priceHistory[asset].length > 100) {
+            this.priceHistory[asset] = this.priceHistory[asset].slice(0, 100);
+        }
+        // Settles to undefined so the chain does not accumulate nested result arrays
+        this.pendingWrites = Promise.all([this.pendingWrites, this.storage.appendHistory(asset, [entry])]).then(() => {});
+        this.scheduleSeriesRefresh([asset]);
+    }
+
+    // Batched so a poll across many assets resamples once, after the writes it depends on
+    scheduleSeriesRefresh(assets) {
+        assets.forEach(asset => this.staleSeries.add(asset));
+        if (this.seriesTimer) return;
+        this.seriesTimer = setTimeout(() => {
+            this.seriesTimer = null;
+            const stale = Array.from(this.staleSeries);
+            this.staleSeries.clear();
+            this.refreshSeries(stale);
+        }, 500);
+    }
+
+    async refreshSeries(assets) {
+        await this.pendingWrites;
+        const interval = this.getSeriesInterval();
+        await Promise.all(assets.map(async asset => {
+            // Bridge one missed poll; anything longer (sleep, offline) stays a gap
+            this.series[asset] = await this.storage.getSeries(asset, { interval, fill: 'forward', maxFill: 2 });
+        }));
+        this.updateDisplay();
+        this.updateAssetsGrid();
+    }
+
+    // One slot per poll, never finer than the 5-minute rollup tier
+    getSeriesInterval() {
+        return Math.max(5 * 60 * 1000, this.settings.refreshInterval);
+    }
+
+    needsBackfill(asset) {
+        const history = this.priceHistory[asset];
+        if (!history || history.length < 5) return true;
+        return history[0].time - history[history.length - 1].time < 24 * 60 * 60 * 1000;
+    }
+
+    async backfillHistory(assets) {
+        const pending = assets.filter(asset => this.needsBackfill(asset));
+        if (pending.length === 0) return;
+
+        await Promise.all(pending.map(async asset => {
+            try {
+                const candles = await this.api.fetchHistory(asset);
+                if (candles.length === 0) return;
+                // Include in-memory points in case a poll landed while the backfill was in flight
+                const merged = await this.storage.mergeHistory(asset, [...(this.priceHistory[asset] || []), ...candles]);
+                this.priceHistory[asset] = merged.slice(0, 100);
+            } catch (error) {
+                window.logger && window.logger.warn(`History backfill failed for ${asset}:`, error);
             }
-        });
+        }));
+
+        this.updateDisplay();
+        this.updateAssetsGrid();
+        this.refreshNativeChart();
+        this.scheduleSeriesRefresh(pending);
+    }
+
+    isStreamed(asset) {
+        return !!this.stream && this.stream.covers(asset);
+    }
+
+    startStreaming() {
+        // Replay and synthetic modes must stay deterministic, so no live socket. A single-exchange stream
+        // cannot be cross-checked, so consensus mode polls every source instead.
+        if (!this.settings.streamingEnabled || this.settings.consensusEnabled || !this.api.isLiveMode()) {
+            this.stopStreaming();
+            return;
+        }
+        if (!this.stream) {
+            this.stream = new PriceStream(this.api, this.api.getTestOverride('streamUrl'));
+            this.stream.onTick = (asset, price, time) => this.handleStreamTick(asset, price, time);
+            this.stream.onStateChange = (state) => {
+                window.logger && window.logger.debug(`Price stream ${state}`);
+            };
+        }
+        // If the socket never opens, isStreamed() stays false and polling keeps covering crypto
+        this.stream.start(this.api.getUserSelectedAssets());
+    }
+
+    stopStreaming() {
+        if (this.stream) {
+            this.stream.stop();
+            this.stream = null;
+        }
+    }
+
+    handleStreamTick(asset, price, time) {
+        if (!this.api.getUserSelectedAssets().includes(asset)) return;
+
+        const previous = this.allPrices[asset];
+        const quote = { price, source: 'binance-stream', fetchedAt: time, status: 'live' };
+        this.previousPrices[asset] = previous;
+        this.previousQuotes[asset] = this.quotes[asset];
+        this.allPrices[asset] = price;
+        this.quotes[asset] = quote;
+        this.api.recordQuote(asset, quote);
+
+        // Ticks arrive every second; keep history at a coarser cadence
+        const latest = this.priceHistory[asset]?.[0];
+        if (!latest || time - latest.time >= this.streamHistoryInterval) {
+            this.recordPrice(asset, price, time, quote);
+            this.api.saveLastPrices();
+        }
+
+        this.alertSystem.checkAlerts({ [asset]: price }, { [asset]: previous }, this.quotes, this.previousQuotes);
+        this.scheduleStreamRender();
+    }
+
+    scheduleStreamRender() {
+        if (this.streamRenderTimer) return;
+        this.streamRenderTimer = setTimeout(() => {
+            this.streamRenderTimer = null;
+            this.updateDisplay();
+            this.updateAssetsGrid();
+            this.refreshNativeChart();
+            this.updateLastUpdateTime();
+        }, 1000);
     }
 
     initChart() {
         const canvas = document.getElementById('priceChart');
         if (!canvas) return;
-        const container = canvas.parentElement;
-        const widgetDiv = document.createElement('div');
-        widgetDiv.id = 'tradingviewWidget';
-        widgetDiv.style.cssText = 'width:100%;height:400px;';
-        container.replaceChild(widgetDiv, canvas);
-        if (window.TradingView) {
-            this.loadTradingView(this.currentAsset);
-        } else {
-            window.addEventListener('tradingview-ready', () => this.loadTradingView(this.currentAsset), { once: true });
+
+        this.chart = new PriceChart(canvas, this.analytics);
+        this.chart.formatPrice = (price) => this.formatPrice(price, this.currentAsset, this.api.getBaseCurrency());
+        this.chart.setRange(this.settings.chartRange);
+        this.chart.setMode(this.settings.chartType);
+        this.chart.setOverlays(this.settings.chartOverlays);
+        this.setupChartControls();
+
+        if (!window.TradingView) {
+            window.addEventListener('tradingview-ready', () => this.updateChart(), { once: true });
+        }
+        this.updateChart();
+    }
+
+    setupChartControls() {
+        const controls = document.getElementById('chartControls');
+        if (!controls) return;
+
+        const rangeButtons = controls.querySelectorAll('.chart-range-btn');
+        rangeButtons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.range === this.settings.chartRange);
+            btn.addEventListener('click', () => {
+                rangeButtons.forEach(b => b.classList.toggle('active', b === btn));
+                this.saveChartSettings({ chartRange: btn.dataset.range });
+            });
+        });
+
+        const typeEl = document.getElementById('chartType');
+        if (typeEl) {
+            typeEl.value = this.settings.chartType;
+            typeEl.addEventListener('change', () => this.saveChartSettings({ chartType: typeEl.value }));
         }
+
+        const overlayEls = controls.querySelectorAll('.chart-overlay');
+        overlayEls.forEach(el => {
+            el.checked = this.settings.chartOverlays.includes(el.value);
+            el.addEventListener('change', () => {
+                const overlays = Array.from(overlayEls).filter(o => o.checked).map(o => o.value);
+                this.saveChartSettings({ chartOverlays: overlays });
+            });
+        });
+
+        const providerEl = document.getElementById('chartProvider');
+        if (providerEl) {
+            providerEl.value = this.settings.chartProvider;
+            providerEl.addEventListener('change', () => this.saveChartSettings({ chartProvider: providerEl.value }));
+        }
+    }
+
+    saveChartSettings(changes) {
+        this.settings = { ...this.settings, ...changes };
+        this.storage.saveSettings(this.settings);
+        if (this.chart) {
+            this.chart.setRange(this.settings.chartRange);
+            this.chart.setMode(this.settings.chartType);
+            this.chart.setOverlays(this.settings.chartOverlays);
+        }
+        this.updateChart();
     }
 
     updateChart() {
-        // Refresh TradingView widget for the selected asset
-        if (window.TradingView) {
+        const canvas = document.getElementById('priceChart');
+        const widget = document.getElementById('tradingviewWidget');
+        // TradingView is opt-in and only covers some assets; everything else uses the built-in chart
+        const useTradingView = this.settings.chartProvider === 'tradingview' &&
+            !!window.TradingView && !!this.getTradingViewSymbol(this.currentAsset);
+
+        if (canvas) canvas.style.display = useTradingView ? 'none' : 'block';
+        if (widget) widget.style.display = useTradingView ? 'block' : 'none';
+
+        if (useTradingView) {
             this.loadTradingView(this.currentAsset);
+        } else {
+            this.refreshNativeChart();
         }
     }
 
-    // Load TradingView widget for a specific asset
-    loadTradingView(asset) {
+    refreshNativeChart() {
+        if (!this.chart) return;
+        const span = this.chart.ranges[this.settings.chartRange];
+        if (span <= 24 * 60 * 60 * 1000) {
+            this.chart.setData(this.getBaseHistory(this.currentAsset));
+            this.chart.draw();
+            return;
+        }
+        this.loadChartHistory(this.currentAsset, this.settings.chartRange, span);
+    }
+
+    // Longer ranges outgrow the in-memory window and are read from the tiered store at a resolution
+    // picked for the span. The stored series is re-read at most once a minute; newer live points are
+    // laid on top in between. If the store cannot be read the chart shows the in-memory window.
+    async loadChartHistory(asset, range, span) {
+        const cached = this.chartHistory;
+        if (!cached || cached.asset !== asset || cached.range !== range || Date.now() - cached.loadedAt > 60000) {
+            const from = isFinite(span) ? Date.now() - span : 0;
+            try {
+                const points = await this.storage.queryHistory(asset, { from });
+                this.chartHistory = { asset, range, loadedAt: Date.now(), points };
+            } catch (error) {
+                window.logger && window.logger.warn(`Failed to load ${range} chart history for ${asset}:`, error);
+                if (asset !== this.currentAsset || range !== this.settings.chartRange) return;
+                this.chart.setData(this.getBaseHistory(asset));
+                this.chart.draw();
+                return;
+            }
+        }
+        if (asset !== this.currentAsset || range !== this.settings.chartRange) return;
+
+        const stored = this.chartHistory.points;
+        const newest = stored.length > 0 ? stored[0].time : 0;
+        const live = (this.priceHistory[asset] || []).filter(entry => entry.time > newest);
+        this.chart.setData(this.getBaseHistory(asset, [...live, ...stored]));
+        this.chart.draw();
+    }
+
+    getTradingViewSymbol(asset) {
         const symbolMap = {
             btc: 'BINANCE:BTCUSDT',
             eth: 'BINANCE:ETHUSDT',
@@ -248,7 +631,16 @@ class PriceTracker {
             palladium: 'COMEX:XPDUUSD',
             // Add more mappings as needed
         };
-        const symbol = symbolMap[asset];
+        if (symbolMap[asset]) return symbolMap[asset];
+        if (this.api.getAssetInfo(asset)?.type === 'crypto') {
+            return `BINANCE:${this.api.getBinanceSymbol(asset)}`;
+        }
+        return null;
+    }
+
+    // Load TradingView widget for a specific asset
+    loadTradingView(asset) {
+        const symbol = this.getTradingViewSymbol(asset);
         const container = document.getElementById('tradingviewWidget');
         if (!symbol || !container) return;
         // Clear previous widget
@@ -279,6 +671,12 @@ class PriceTracker {
         
         if (nameEl) nameEl.textContent = info?.name || '';
         if (priceEl) priceEl.textContent = this.formatPrice(price, this.currentAsset);
+        const statusEl = document.getElementById('priceStatus');
+        if (statusEl) {
+            statusEl.textContent = '';
+            const badge = this.createStalenessBadge(this.currentAsset);
+            if (badge) statusEl.appendChild(badge);
+        }
         if (changeEl) {
             changeEl.textContent = `${change >= 0 ? '+' : ''}${change.toFixed(2)}%`;
             changeEl.className = `price-change ${change >= 0 ? 'positive' : 'negative'}`;
@@ -289,10 +687,9 @@ class PriceTracker {
     }
     
     updateAnalyticsDisplay() {
-        const history = this.priceHistory[this.currentAsset];
+        const history = this.getAnalyticsHistory(this.currentAsset);
         if (!history || history.length < 5) return;
         
-        const prices = history.map(h => h.price);
         const report = this.analytics.generateReport(this.currentAsset, history);
         
         if (!report) return;
@@ -344,6 +741,21 @@ class PriceTracker {
                 el.appendChild(lbl); el.appendChild(val);
                 grid.appendChild(el);
             }
+            const news = this.analytics.getNewsSentiment(this.storage.loadNewsSentiment(this.currentAsset));
+            if (news) {
+                const newsColor = news.sentiment === 'Positive' ? 'var(--positive)' : news.sentiment === 'Negative' ? 'var(--negative)' : 'var(--text-secondary)';
+                const trend = news.trend === null ? '' : news.trend > 0.05 ? ' ↑' : news.trend < -0.05 ? ' ↓' : '';
+                const el = document.createElement('div');
+                el.title = `Mean score ${news.score.toFixed(2)} of ${news.headlines} headline(s) published in the last 24h`;
+                const lbl = document.createElement('span');
+                lbl.style.color = 'var(--text-secondary)';
+                lbl.textContent = 'News: ';
+                const val = document.createElement('span');
+                val.style.cssText = `color:${newsColor};font-weight:600;`;
+                val.textContent = `${news.sentiment} ${news.score >= 0 ? '+' : ''}${news.score.toFixed(2)}${trend}`;
+                el.appendChild(lbl); el.appendChild(val);
+                grid.appendChild(el);
+            }
             wrapper.appendChild(label);
             wrapper.appendChild(grid);
             analyticsEl.textContent = '';
@@ -432,12 +844,30 @@ class PriceTracker {
             pinBtn.title = isPinned ? 'Unpin' : 'Pin';
             pinBtn.textContent = '📌';
             pinBtn.style.cssText = `background:none;border:none;cursor:pointer;font-size:1rem;opacity:${isPinned ? '1' : '0.35'};`;
+            const actions = document.createElement('div');
+            if (info.type === 'currency') {
+                const invertBtn = document.createElement('button');
+                invertBtn.title = 'Invert pair';
+                invertBtn.textContent = '⇄';
+                invertBtn.style.cssText = `background:none;border:none;cursor:pointer;font-size:1rem;color:var(--text-primary);opacity:${info.inverse ? '1' : '0.35'};`;
+                invertBtn.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    this.toggleInverse(asset);
+                });
+                actions.appendChild(invertBtn);
+            }
+            actions.appendChild(pinBtn);
             topRow.appendChild(nameDiv);
-            topRow.appendChild(pinBtn);
+            topRow.appendChild(actions);
 
             const priceDiv = document.createElement('div');
             priceDiv.style.cssText = 'font-size:1.5rem;font-weight:700;margin-bottom:0.25rem;';
             priceDiv.textContent = this.formatPrice(price, asset);
+            const badge = this.createStalenessBadge(asset);
+            if (badge) {
+                badge.style.marginLeft = '0.5rem';
+                priceDiv.appendChild(badge);
+            }
 
             const changeDiv = document.createElement('div');
             changeDiv.className = change >= 0 ? 'positive' : 'negative';
@@ -473,38 +903,293 @@ class PriceTracker {
         });
     }
 
-    async loadNews() {
+    async loadNews(options = {}) {
         const container = document.getElementById('newsContainer');
         if (!container) return;
         
         try {
-            const news = await this.api.fetchNews();
-            container.innerHTML = '';
-            
-            news.forEach(article => {
-                const item = document.createElement('div');
-                item.className = 'news-item';
-                const newsUrl = article.url || article.link || '#';
-                const a = document.createElement('a');
-                a.href = newsUrl;
-                a.target = '_blank';
-                a.rel = 'noopener noreferrer';
-                a.className = 'news-title';
-                a.textContent = article.title;
-                const meta = document.createElement('div');
-                meta.className = 'news-meta';
-                meta.textContent = `${article.source.name} • ${new Date(article.publishedAt).toLocaleDateString()}`;
-                item.appendChild(a);
-                item.appendChild(meta);
-                container.appendChild(item);
-            });
+            this.news = await this.api.fetchNews(options);
+            this.renderNews();
+            // Placeholder headlines are not real news and must not move the sentiment history
+            const realNews = this.news.filter(article => !article.placeholder);
+            if (realNews.length > 0) {
+                this.storage.recordNewsSentiment(this.analytics.scoreNews(realNews));
+                this.updateAnalyticsDisplay();
+            }
         } catch (error) {
             container.innerHTML = '<p style="color: var(--text-secondary);">Unable to load news</p>';
         }
     }
 
+    setupNewsFilter() {
+        const buttons = document.querySelectorAll('#newsFilter [data-filter]');
+        buttons.forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.filter === this.settings.newsFilter);
+            btn.addEventListener('click', () => {
+                buttons.forEach(b => b.classList.toggle('active', b === btn));
+                this.settings = { ...this.settings, newsFilter: btn.dataset.filter };
+                this.storage.saveSettings(this.settings);
+                this.renderNews();
+            });
+        });
+    }
+
+    // 'asset' and 'category' keep articles tagged with the current asset (or any asset in the current
+    // category) plus, for category, untagged articles from that category's feeds
+    getFilteredNews() {
+        const filter = this.settings.newsFilter;
+        if (filter === 'asset') {
+            return this.news.filter(article => article.assets.includes(this.currentAsset));
+        }
+        if (filter === 'category') {
+            return this.news.filter(article => article.category === this.currentCategory ||
+                article.assets.some(asset => this.api.getAssetInfo(asset)?.type === this.currentCategory));
+        }
+        return this.news;
+    }
+
+    renderNews() {
+        const container = document.getElementById('newsContainer');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const articles = this.getFilteredNews();
+        if (articles.length === 0) {
+            const empty = document.createElement('p');
+            empty.style.color = 'var(--text-secondary)';
+            empty.textContent = this.news.length === 0 && this.api.needsNewsProxy()
+                ? 'News feeds are read through your proxy. Set a Proxy URL in Settings to load headlines (see proxy/server.js).'
+                : this.settings.newsFilter === 'asset'
+                ? `No recent headlines mention ${this.api.getAssetInfo(this.currentAsset)?.name || this.currentAsset}`
+                : 'No recent headlines for this selection';
+            container.appendChild(empty);
+            return;
+        }
+
+        articles.forEach(article => {
+            const item = document.createElement('div');
+            item.className = 'news-item';
+            const newsUrl = article.url || article.link || '#';
+            const a = document.createElement('a');
+            a.href = newsUrl;
+            a.target = '_blank';
+            a.rel = 'noopener noreferrer';
+            a.className = 'news-title';
+            a.textContent = article.title;
+            const meta = document.createElement('div');
+            meta.className = 'news-meta';
+            const sources = article.sources && article.sources.length > 1 ? article.sources.join(', ') : article.source.name;
+            meta.textContent = `${sources} • ${new Date(article.publishedAt).toLocaleDateString()}`;
+            item.appendChild(a);
+            item.appendChild(meta);
+            (article.assets || []).forEach(asset => {
+                const tag = document.createElement('span');
+                tag.className = 'news-tag';
+                tag.textContent = this.api.getAssetInfo(asset)?.symbol || asset;
+                item.appendChild(tag);
+            });
+            container.appendChild(item);
+        });
+    }
+
+    renderNewsFeeds() {
+        const container = document.getElementById('newsFeedList');
+        if (!container) return;
+
+        container.innerHTML = '';
+        this.api.newsFeeds.forEach((feed, index) => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex;justify-content:space-between;align-items:center;padding:0.5rem;background:var(--bg-tertiary);border-radius:0.25rem;margin-bottom:0.5rem;font-size:0.85rem;';
+            const label = document.createElement('div');
+            label.textContent = `${feed.name} (${feed.category})`;
+            label.title = feed.url;
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.style.cssText = 'background:var(--negative);color:var(--bg-primary);border:none;padding:0.25rem 0.5rem;border-radius:0.25rem;cursor:pointer;font-size:0.8rem;';
+            removeBtn.addEventListener('click', () => removeNewsFeed(index));
+            row.appendChild(label);
+            row.appendChild(removeBtn);
+            container.appendChild(row);
+        });
+    }
+
+    // Column mapping step of a CSV history import; the file is kept until it is imported or cancelled
+    renderCsvImport(text) {
+        const panel = document.getElementById('csvImportPanel');
+        if (!panel) return;
+
+        const { headers } = CsvCodec.parse(text);
+        const guess = this.storage.guessCsvMapping(headers);
+        this.csvImportText = text;
+        panel.textContent = '';
+
+        const selectStyle = 'width:100%;padding:0.4rem;margin-top:0.25rem;background:var(--bg-tertiary);border:1px solid var(--border);color:var(--text-primary);border-radius:0.25rem;';
+        const addSelect = (id, labelText, options, value) => {
+            const label = document.createElement('label');
+            label.style.cssText = 'display:block;font-size:0.85rem;margin-bottom:0.5rem;';
+            label.textContent = labelText;
+            const select = document.createElement('select');
+            select.id = id;
+            select.style.cssText = selectStyle;
+            options.forEach(([optionValue, optionLabel]) => {
+                const option = document.createElement('option');
+                option.value = optionValue;
+                option.textContent = optionLabel;
+                select.appendChild(option);
+            });
+            select.value = value || '';
+            select.addEventListener('change', () => this.previewCsvImport());
+            label.appendChild(select);
+            panel.appendChild(label);
+        };
+
+        const columns = [['', '— none —'], ...headers.map(h => [h, h])];
+        [['timestamp', 'Timestamp column'], ['price', 'Price column'], ['asset', 'Asset column'],
+            ['currency', 'Currency column'], ['source', 'Source column']].forEach(([field, label]) => {
+            addSelect(`csvMap_${field}`, label, columns, guess[field]);
+        });
+        const assets = this.api.getUserSelectedAssets().map(a => [a, this.api.getAssetInfo(a)?.name || a]);
+        addSelect('csvImportAsset', 'Asset for rows without an asset column', assets, this.currentAsset);
+        addSelect('csvImportFormat', 'Timestamp format', [
+            ['', 'Detect'], ['iso', 'ISO 8601'], ['unix-s', 'Unix seconds'], ['unix-ms', 'Unix milliseconds'],
+            ['dmy', 'Day/month/year'], ['mdy', 'Month/day/year']
+        ], '');
+        addSelect('csvImportDecimal', 'Decimal mark in prices', [
+            ['', 'Detect'], ['.', 'Point (1,234.56)'], [',', 'Comma (1.234,56)']
+        ], '');
+
+        const preview = document.createElement('div');
+        preview.id = 'csvImportPreview';
+        preview.style.cssText = 'font-size:0.85rem;color:var(--text-secondary);margin:0.5rem 0;';
+        panel.appendChild(preview);
+
+        const importBtn = document.createElement('button');
+        importBtn.className = 'btn-primary';
+        importBtn.textContent = 'Import';
+        importBtn.addEventListener('click', () => confirmCsvImport());
+        const cancelBtn = document.createElement('button');
+        cancelBtn.className = 'btn-danger';
+        cancelBtn.textContent = 'Cancel';
+        cancelBtn.addEventListener('click', () => this.closeCsvImport());
+        panel.appendChild(importBtn);
+        panel.appendChild(cancelBtn);
+
+        panel.style.display = 'block';
+        this.previewCsvImport();
+    }
+
+    closeCsvImport() {
+        this.csvImportText = null;
+        const panel = document.getElementById('csvImportPanel');
+        if (panel) {
+            panel.textContent = '';
+            panel.style.display = 'none';
+        }
+    }
+
+    // Parses with the chosen mapping; rows for assets this dashboard does not know are dropped
+    parseCsvImport() {
+        const mapping = {};
+        ['timestamp', 'price', 'asset', 'currency', 'source'].forEach(field => {
+            mapping[field] = document.getElementById(`csvMap_${field}`)?.value || '';
+        });
+        const parsed = this.storage.parseHistoryCsv(this.csvImportText || '', {
+            mapping,
+            format: document.getElementById('csvImportFormat')?.value || undefined,
+            decimalMark: document.getElementById('csvImportDecimal')?.value || undefined,
+            asset: document.getElementById('csvImportAsset')?.value || this.currentAsset,
+            convert: (price, asset, currency, time) => this.importPriceToUsd(price, asset, currency, time)
+        });
+        const unknown = new Set(parsed.entries.filter(e => !this.api.getAssetInfo(e.asset)).map(e => e.asset));
+        return { ...parsed, entries: parsed.entries.filter(e => !unknown.has(e.asset)), unknown: Array.from(unknown) };
+    }
+
+    previewCsvImport() {
+        const preview = document.getElementById('csvImportPreview');
+        if (!preview) return;
+        try {
+            const { entries, format, decimalMark, skipped, unknown } = this.parseCsvImport();
+            const assets = Array.from(new Set(entries.map(e => e.asset)));
+            const lines = [`${entries.length} row(s) for ${assets.join(', ') || 'no assets'}, timestamps read as ${format}, ` +
+                `decimal ${decimalMark === ',' ? 'comma' : 'point'}`];
+            if (entries.length > 0) {
+                const first = entries[0];
+                lines.push(`First row: ${new Date(first.time).toLocaleString()} · ${first.asset} · ${first.price} USD`);
+            }
+            if (skipped > 0) lines.push(`${skipped} row(s) without a usable timestamp or price will be skipped`);
+            if (unknown.length > 0) lines.push(`Unknown assets skipped: ${unknown.join(', ')}`);
+            preview.textContent = lines.join('\n');
+            preview.style.whiteSpace = 'pre-line';
+            preview.style.color = 'var(--text-secondary)';
+        } catch (error) {
+            preview.textContent = error.message;
+            preview.style.color = 'var(--negative)';
+        }
+    }
+
+    // History is stored in USD; a currency column re-expresses prices at the rate of their own day.
+    // Returns null when no rate is known, which skips the row.
+    importPriceToUsd(price, asset, currency, time) {
+        if (!this.api.isUsdPriced(asset) || !currency || currency === 'USD') return price;
+        const rate = this.api.getRateAt(currency, time);
+        return rate ? price / rate : null;
+    }
+
+    // History is stored in USD; analytics and change figures are read in the base currency,
+    // each point converted at the rate in force when it was observed
+    getBaseHistory(asset, source = this.priceHistory[asset]) {
+        const history = (source || []).filter(entry => entry.status !== 'fallback');
+        if (!this.api.isUsdPriced(asset) || this.api.getBaseCurrency() === 'USD') return history;
+        return history.map(entry => entry.price === null
+            ? entry
+            : { ...entry, price: this.api.toBaseCurrency(entry.price, asset, entry.time) });
+    }
+
+    // Evenly spaced samples with gaps flagged, so indicators measure time rather than poll count;
+    // raw history is only used until the first resample has run
+    getAnalyticsHistory(asset) {
+        const series = this.series[asset];
+        if (series && series.some(sample => sample.price !== null)) return this.getBaseHistory(asset, series);
+        return this.getBaseHistory(asset);
+    }
+
+    // Badge for anything that is not a fresh live quote; returns null when the price is current
+    createStalenessBadge(asset) {
+        const quote = this.quotes[asset];
+        if (!quote) return null;
+
+        const age = quote.fetchedAt ? Date.now() - quote.fetchedAt : null;
+        const staleAfter = this.isStreamed(asset) ? 60 * 1000 : this.settings.refreshInterval * 2;
+        let label = null;
+        if (quote.status === 'fallback') {
+            label = 'fallback';
+        } else if (quote.status === 'cached') {
+            label = age !== null ? `cached · ${this.formatAge(age)}` : 'cached';
+        } else if (age !== null && age > staleAfter) {
+            label = `stale · ${this.formatAge(age)}`;
+        }
+        if (!label) return null;
+
+        const badge = document.createElement('span');
+        badge.className = `staleness-badge ${quote.status}`;
+        badge.textContent = label;
+        badge.title = quote.status === 'fallback'
+            ? 'Built-in placeholder price — no live data has been received for this asset'
+            : `Source: ${quote.source}${quote.fetchedAt ? `, fetched ${new Date(quote.fetchedAt).toLocaleString()}` : ''}`;
+        return badge;
+    }
+
+    formatAge(ms) {
+        const minutes = Math.floor(ms / 60000);
+        if (minutes < 1) return 'just now';
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours}h`;
+        return `${Math.floor(hours / 24)}d`;
+    }
+
     calculateChange(asset) {
-        const history = this.priceHistory[asset];
+        const history = this.getAnalyticsHistory(asset).filter(h => h.price !== null);
         if (!history || history.length < 2) return 0;
 
         const current = history[0];
@@ -516,26 +1201,25 @@ class PriceTracker {
         return ((current.price - baseline.price) / baseline.price) * 100;
     }
 
-    formatPrice(priceUSD, asset) {
+    // Pass currency when the price is already expressed in it (e.g. base-currency history)
+    formatPrice(priceUSD, asset, currency = null) {
         if (!priceUSD || isNaN(priceUSD)) return 'N/A';
 
         const info = this.api.getAssetInfo(asset);
         // Big Mac prices have their own native currencies — don't convert
         if (info?.type === 'bigmac') {
-            if (asset.includes('jp')) return `¥${priceUSD.toFixed(0)}`;
-            if (asset.includes('eu')) return `€${priceUSD.toFixed(2)}`;
-            if (asset.includes('uk')) return `£${priceUSD.toFixed(2)}`;
-            return `$${priceUSD.toFixed(2)}`;
+            const currency = this.api.getBigMacCurrency(asset) || 'USD';
+            const digits = priceUSD >= 100 ? 0 : 2;
+            return `${this.getCurrencySymbol(currency)}${priceUSD.toFixed(digits)}`;
         }
         // Forex assets are already a rate, not a USD price — don't double-convert
         if (info?.type === 'currency') {
             return priceUSD.toFixed(4);
         }
 
-        const displayCurrency = this.api.getDisplayCurrency();
-        const price = this.api.convertPrice(priceUSD, displayCurrency);
-        const symbols = { USD: '$', EUR: '€', GBP: '£', JPY: '¥', CAD: 'CA$', AUD: 'A$', CHF: 'Fr', CNY: '¥', INR: '₹', AED: 'د.إ', BHD: 'BD', KRW: '₩', BRL: 'R$', MXN: 'MX$', RUB: '₽', TRY: '₺', ZAR: 'R', NOK: 'kr', SEK: 'kr' };
-        const sym = symbols[displayCurrency] || displayCurrency + ' ';
+        const displayCurrency = currency || this.api.getDisplayCurrency();
+        const price = currency ? priceUSD : this.api.convertPrice(priceUSD, displayCurrency);
+        const sym = this.getCurrencySymbol(displayCurrency);
 
         if (price < 1) return `${sym}${price.toFixed(6)}`;
         if (price < 100) return `${sym}${price.toFixed(4)}`;
@@ -543,6 +1227,11 @@ class PriceTracker {
         return `${sym}${price.toLocaleString(undefined, { maximumFractionDigits: 2 })}`;
     }
 
+    getCurrencySymbol(currency) {
+        const symbols = { USD: '$', EUR: '€', GBP: '£', JPY: '¥', CAD: 'CA$', AUD: 'A$', CHF: 'Fr', CNY: '¥', INR: '₹', AED: 'د.إ', BHD: 'BD', KRW: '₩', BRL: 'R$', MXN: 'MX$', RUB: '₽', TRY: '₺', ZAR: 'R', NOK: 'kr', SEK: 'kr' };
+        return symbols[currency] || currency + ' ';
+    }
+
     startAutoRefresh() {
         if (this.refreshInterval) clearInterval(this.refreshInterval);
         
@@ -588,36 +1277,220 @@ class PriceTracker {
         });
     }
 
-    togglePin(asset) {
-        const idx = this.pinnedAssets.indexOf(asset);
-        if (idx === -1) {
-            this.pinnedAssets.push(asset);
-        } else {
-            this.pinnedAssets.splice(idx, 1);
+    setupCustomAssets() {
+        const container = document.getElementById('customAssetList');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const customKeys = Object.keys(this.api.customAssets);
+        if (customKeys.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-secondary); font-size: 0.9rem;">No custom assets</p>';
+            return;
         }
-        localStorage.setItem('pinnedAssets', JSON.stringify(this.pinnedAssets));
-        this.updateAssetsGrid();
-    }
 
-    setupSettings() {
-        const autoRefreshEl = document.getElementById('autoRefresh');
-        const refreshIntervalEl = document.getElementById('refreshInterval');
-        const soundEnabledEl = document.getElementById('soundEnabled');
-        const notificationsEl = document.getElementById('notificationsEnabled');
-        const currencyEl = document.getElementById('displayCurrency');
-        
-        if (autoRefreshEl) autoRefreshEl.checked = this.settings.autoRefresh;
-        if (refreshIntervalEl) refreshIntervalEl.value = this.settings.refreshInterval / 1000;
-        if (soundEnabledEl) soundEnabledEl.checked = this.settings.soundEnabled;
-        if (notificationsEl) notificationsEl.checked = this.settings.notificationsEnabled;
-        if (currencyEl) currencyEl.value = this.api.getDisplayCurrency();
+        customKeys.forEach(key => {
+            const info = this.api.getAssetInfo(key);
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex;justify-content:space-between;align-items:center;padding:0.5rem;background:var(--bg-tertiary);border-radius:0.25rem;margin-bottom:0.5rem;';
+            const label = document.createElement('div');
+            label.textContent = `${info.name} (${info.symbol}, ${info.type})`;
+            const removeBtn = document.createElement('button');
+            removeBtn.textContent = 'Remove';
+            removeBtn.style.cssText = 'background:var(--negative);color:var(--bg-primary);border:none;padding:0.25rem 0.5rem;border-radius:0.25rem;cursor:pointer;font-size:0.8rem;';
+            removeBtn.addEventListener('click', () => removeCustomAsset(key));
+            row.appendChild(label);
+            row.appendChild(removeBtn);
+            container.appendChild(row);
+        });
     }
-}
 
-function refreshPrice() {
-    if (window.tracker) {
-        window.tracker.fetchAllPrices();
-        window.tracker.loadNews();
+    renderApiKeySettings() {
+        const container = document.getElementById('apiKeySettings');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const inputStyle = 'width: 100%; padding: 0.5rem; margin-top: 0.5rem; background: var(--bg-tertiary); border: 1px solid var(--border); color: var(--text-primary); border-radius: 0.25rem;';
+        this.api.getQuotaStatus().forEach(status => {
+            const block = document.createElement('div');
+            block.style.cssText = 'padding:0.5rem;background:var(--bg-tertiary);border-radius:0.25rem;margin-bottom:0.5rem;';
+
+            const title = document.createElement('div');
+            title.style.cssText = 'display:flex;justify-content:space-between;font-size:0.9rem;';
+            const name = document.createElement('a');
+            name.textContent = status.label;
+            name.href = status.signupUrl;
+            name.target = '_blank';
+            name.rel = 'noopener';
+            name.style.color = 'var(--text-primary)';
+            const usage = document.createElement('span');
+            usage.textContent = status.quota ? `${status.used} / ${status.quota} today` : `${status.used} today`;
+            if (status.quota && status.used >= status.quota * this.api.quotaWarningRatio) {
+                usage.style.color = 'var(--negative)';
+            }
+            title.appendChild(name);
+            title.appendChild(usage);
+
+            const keyInput = document.createElement('input');
+            keyInput.type = 'password';
+            keyInput.id = `apiKey_${status.provider}`;
+            keyInput.placeholder = status.hasUserKey ? 'Your key is saved' : 'Using shared demo key';
+            keyInput.autocomplete = 'off';
+            keyInput.style.cssText = inputStyle;
+
+            const quotaInput = document.createElement('input');
+            quotaInput.type = 'number';
+            quotaInput.min = '1';
+            quotaInput.id = `apiQuota_${status.provider}`;
+            quotaInput.value = status.userQuota || '';
+            quotaInput.placeholder = 'Daily limit (optional, requests stop once reached)';
+            quotaInput.title = 'Requests per day allowed by your plan';
+            quotaInput.style.cssText = inputStyle;
+
+            const actions = document.createElement('div');
+            actions.style.cssText = 'display:flex;gap:0.5rem;margin-top:0.5rem;';
+            const saveBtn = document.createElement('button');
+            saveBtn.className = 'btn-primary';
+            saveBtn.textContent = 'Validate & Save';
+            saveBtn.addEventListener('click', () => saveApiKey(status.provider));
+            actions.appendChild(saveBtn);
+            if (status.hasUserKey) {
+                const removeBtn = document.createElement('button');
+                removeBtn.className = 'btn-danger';
+                removeBtn.textContent = 'Remove';
+                removeBtn.addEventListener('click', () => removeApiKey(status.provider));
+                actions.appendChild(removeBtn);
+            }
+
+            block.appendChild(title);
+            block.appendChild(keyInput);
+            block.appendChild(quotaInput);
+            block.appendChild(actions);
+            container.appendChild(block);
+        });
+    }
+
+    renderUpstreamStatus() {
+        const container = document.getElementById('upstreamStatus');
+        if (!container) return;
+
+        container.innerHTML = '';
+        const hosts = this.api.getUpstreamStatus();
+        if (hosts.length === 0) {
+            container.innerHTML = '<p style="color: var(--text-secondary); font-size: 0.9rem;">No requests made yet</p>';
+            return;
+        }
+
+        const stateColors = { CLOSED: 'var(--positive)', HALF_OPEN: 'var(--text-secondary)', OPEN: 'var(--negative)' };
+        hosts.forEach(status => {
+            const row = document.createElement('div');
+            row.style.cssText = 'display:flex;justify-content:space-between;align-items:center;padding:0.5rem;background:var(--bg-tertiary);border-radius:0.25rem;margin-bottom:0.5rem;font-size:0.85rem;';
+            const host = document.createElement('div');
+            host.textContent = status.host;
+            const detail = document.createElement('div');
+            const parts = [status.state.replace('_', '-').toLowerCase()];
+            if (status.failures > 0) parts.push(`${status.failures} failures`);
+            if (status.capacity != null) parts.push(`${status.tokens}/${status.capacity} tokens`);
+            detail.textContent = parts.join(' · ');
+            detail.style.color = stateColors[status.state] || 'var(--text-secondary)';
+            if (status.lastFailure) {
+                detail.title = `Last failure ${new Date(status.lastFailure).toLocaleTimeString()}`;
+            }
+            row.appendChild(host);
+            row.appendChild(detail);
+            container.appendChild(row);
+        });
+    }
+
+    refreshAssetViews() {
+        this.setupCategoryTabs();
+        this.setupAssetTabs();
+        this.setupAssetSelection();
+        this.setupCustomAssets();
+        this.updateAssetsGrid();
+    }
+
+    // Flips a currency pair in place; stored history and alert thresholds are re-expressed in the new direction
+    async toggleInverse(asset) {
+        const invert = (price) => (price > 0 ? 1 / price : price);
+        // Ticks still being written were recorded in the old orientation and are inverted with the rest
+        await this.pendingWrites;
+        this.api.toggleInverse(asset);
+
+        if (asset in this.allPrices) this.allPrices[asset] = invert(this.allPrices[asset]);
+        if (asset in this.previousPrices) this.previousPrices[asset] = invert(this.previousPrices[asset]);
+
+        await this.storage.invertHistory(asset);
+        this.chartHistory = null;
+        if (this.priceHistory[asset]) {
+            this.priceHistory[asset] = this.priceHistory[asset].map(entry => ({ ...entry, price: invert(entry.price) }));
+        }
+
+        this.alertSystem.alerts.forEach(alert => {
+            if (alert.asset === asset) Object.assign(alert, this.storage.invertAlert(alert));
+        });
+        this.alertSystem.saveAlerts();
+        this.scheduleSeriesRefresh([asset]);
+
+        this.setupAssetTabs();
+        this.updateDisplay();
+        this.updateAssetsGrid();
+        this.refreshNativeChart();
+    }
+
+    togglePin(asset) {
+        const idx = this.pinnedAssets.indexOf(asset);
+        if (idx === -1) {
+            this.pinnedAssets.push(asset);
+        } else {
+            this.pinnedAssets.splice(idx, 1);
+        }
+        localStorage.setItem('pinnedAssets', JSON.stringify(this.pinnedAssets));
+        this.updateAssetsGrid();
+    }
+
+    setupSettings() {
+        const autoRefreshEl = document.getElementById('autoRefresh');
+        const refreshIntervalEl = document.getElementById('refreshInterval');
+        const soundEnabledEl = document.getElementById('soundEnabled');
+        const notificationsEl = document.getElementById('notificationsEnabled');
+        const currencyEl = document.getElementById('displayCurrency');
+        const baseCurrencyEl = document.getElementById('baseCurrency');
+        const streamingEl = document.getElementById('streamingEnabled');
+        const consensusEl = document.getElementById('consensusEnabled');
+        const toleranceEl = document.getElementById('consensusTolerance');
+        const proxyEl = document.getElementById('proxyBaseUrl');
+        const providerModeEl = document.getElementById('providerMode');
+        
+        if (autoRefreshEl) autoRefreshEl.checked = this.settings.autoRefresh;
+        if (streamingEl) streamingEl.checked = this.settings.streamingEnabled;
+        if (consensusEl) consensusEl.checked = this.settings.consensusEnabled;
+        if (toleranceEl) toleranceEl.value = this.settings.consensusTolerance;
+        if (refreshIntervalEl) refreshIntervalEl.value = this.settings.refreshInterval / 1000;
+        if (soundEnabledEl) soundEnabledEl.checked = this.settings.soundEnabled;
+        if (notificationsEl) notificationsEl.checked = this.settings.notificationsEnabled;
+        if (currencyEl) currencyEl.value = this.api.getDisplayCurrency();
+        if (proxyEl) proxyEl.value = this.api.proxyBaseUrl;
+        if (providerModeEl) providerModeEl.value = this.api.providerMode;
+        const encryptEl = document.getElementById('encryptBackups');
+        if (encryptEl) encryptEl.checked = this.settings.encryptBackups;
+        const retention = this.storage.getRetentionPolicy();
+        document.querySelectorAll('.retention-days').forEach(el => {
+            el.value = retention[el.dataset.tier];
+        });
+        if (baseCurrencyEl && currencyEl) {
+            // Same choices as the display currency list
+            if (baseCurrencyEl.options.length === 0) {
+                Array.from(currencyEl.options).forEach(opt => baseCurrencyEl.appendChild(opt.cloneNode(true)));
+            }
+            baseCurrencyEl.value = this.api.getBaseCurrency();
+        }
+    }
+}
+
+function refreshPrice() {
+    if (window.tracker) {
+        window.tracker.fetchAllPrices();
+        window.tracker.loadNews();
     }
 }
 
@@ -628,7 +1501,11 @@ function toggleSettings() {
         panel.style.display = isVisible ? 'none' : 'block';
         if (!isVisible && window.tracker) {
             window.tracker.setupAssetSelection();
+            window.tracker.setupCustomAssets();
             window.tracker.setupSettings();
+            window.tracker.renderNewsFeeds();
+            window.tracker.renderApiKeySettings();
+            window.tracker.renderUpstreamStatus();
             updateAlertsDisplay();
         }
     }
@@ -649,10 +1526,158 @@ function saveAssetSelection() {
         window.tracker.setupCategoryTabs();
         window.tracker.setupAssetTabs();
         window.tracker.updateAssetsGrid();
+        window.tracker.startStreaming();
+        window.tracker.loadSavedHistory(selected).then(() => window.tracker.backfillHistory(selected));
         toggleSettings();
     }
 }
 
+async function addCustomAsset() {
+    if (!window.tracker) return;
+
+    const type = document.getElementById('customAssetType')?.value || 'crypto';
+    const symbolEl = document.getElementById('customAssetSymbol');
+    const nameEl = document.getElementById('customAssetName');
+
+    try {
+        const { key, info } = await window.tracker.api.validateCustomAsset(type, symbolEl?.value, nameEl?.value);
+        window.tracker.api.addCustomAsset(key, info);
+        window.tracker.api.saveUserSelection([...window.tracker.api.getUserSelectedAssets(), key]);
+        if (symbolEl) symbolEl.value = '';
+        if (nameEl) nameEl.value = '';
+        window.tracker.refreshAssetViews();
+        window.tracker.fetchAllPrices();
+        window.tracker.startStreaming();
+        window.tracker.backfillHistory([key]);
+        window.tracker.showSuccessMessage(`${info.name} added`);
+    } catch (error) {
+        window.tracker.showErrorMessage(error.message);
+    }
+}
+
+async function saveApiKey(provider) {
+    if (!window.tracker) return;
+
+    const keyEl = document.getElementById(`apiKey_${provider}`);
+    const quotaEl = document.getElementById(`apiQuota_${provider}`);
+    const api = window.tracker.api;
+
+    try {
+        const key = keyEl?.value.trim() || (api.hasUserApiKey(provider) ? api.getApiKey(provider) : '');
+        if (!key) {
+            window.tracker.showErrorMessage('Enter an API key first.');
+            return;
+        }
+        const validKey = await api.validateApiKey(provider, key);
+        api.saveApiKey(provider, validKey, quotaEl?.value);
+        window.tracker.renderApiKeySettings();
+        window.tracker.fetchAllPrices();
+        window.tracker.showSuccessMessage('API key saved');
+    } catch (error) {
+        window.tracker.showErrorMessage(error.message);
+    }
+}
+
+async function saveProxySettings() {
+    if (!window.tracker) return;
+
+    const value = document.getElementById('proxyBaseUrl')?.value || '';
+    try {
+        const proxyUrl = window.tracker.api.setProxyBaseUrl(value);
+        window.tracker.renderUpstreamStatus();
+        if (!proxyUrl) {
+            window.tracker.showSuccessMessage('Proxy removed, using the public relay');
+            return;
+        }
+        await window.tracker.api.checkProxy();
+        window.tracker.fetchAllPrices();
+        window.tracker.loadNews({ force: true });
+        window.tracker.showSuccessMessage('Proxy saved and reachable');
+    } catch (error) {
+        window.tracker.showErrorMessage(`Proxy: ${error.message}`);
+    }
+}
+
+function saveRetentionSettings() {
+    if (!window.tracker) return;
+
+    const policy = {};
+    document.querySelectorAll('.retention-days').forEach(el => {
+        policy[el.dataset.tier] = parseFloat(el.value);
+    });
+    try {
+        window.tracker.storage.setRetentionPolicy(policy);
+        window.tracker.storage.compactAllHistory();
+        window.tracker.chartHistory = null;
+        window.tracker.showSuccessMessage('History retention saved');
+    } catch (error) {
+        window.tracker.showErrorMessage(error.message);
+    }
+}
+
+function addNewsFeed() {
+    if (!window.tracker) return;
+
+    const category = document.getElementById('newsFeedCategory')?.value || 'crypto';
+    const urlEl = document.getElementById('newsFeedUrl');
+    let url;
+    try {
+        url = new URL((urlEl?.value || '').trim());
+        if (url.protocol !== 'https:') throw new Error('insecure');
+    } catch {
+        window.tracker.showErrorMessage('Enter a valid https feed URL.');
+        return;
+    }
+
+    const api = window.tracker.api;
+    if (api.newsFeeds.some(feed => feed.url === url.href)) {
+        window.tracker.showErrorMessage('That feed is already in the list.');
+        return;
+    }
+    api.setNewsFeeds([...api.newsFeeds, { name: url.hostname.replace(/^www\./, ''), category, url: url.href }]);
+    if (urlEl) urlEl.value = '';
+    window.tracker.renderNewsFeeds();
+    window.tracker.loadNews({ force: true });
+    window.tracker.showSuccessMessage('Feed added');
+}
+
+function removeNewsFeed(index) {
+    if (!window.tracker) return;
+    const api = window.tracker.api;
+    api.setNewsFeeds(api.newsFeeds.filter((_, i) => i !== index));
+    window.tracker.renderNewsFeeds();
+    window.tracker.loadNews({ force: true });
+}
+
+function resetNewsFeeds() {
+    if (!window.tracker) return;
+    window.tracker.api.resetNewsFeeds();
+    window.tracker.renderNewsFeeds();
+    window.tracker.loadNews({ force: true });
+    window.tracker.showSuccessMessage('Default feeds restored');
+}
+
+function removeApiKey(provider) {
+    if (!window.tracker) return;
+    window.tracker.api.removeApiKey(provider);
+    window.tracker.renderApiKeySettings();
+    window.tracker.showSuccessMessage('API key removed');
+}
+
+function removeCustomAsset(key) {
+    if (!window.tracker) return;
+    if (window.tracker.api.getUserSelectedAssets().length === 1 &&
+        window.tracker.api.getUserSelectedAssets()[0] === key) {
+        window.tracker.showErrorMessage('Please keep at least one asset selected.');
+        return;
+    }
+    window.tracker.api.removeCustomAsset(key);
+    delete window.tracker.allPrices[key];
+    window.tracker.refreshAssetViews();
+    window.tracker.startStreaming();
+    window.tracker.showSuccessMessage('Custom asset removed');
+}
+
 function saveSettings() {
     if (!window.tracker) return;
     
@@ -660,19 +1685,32 @@ function saveSettings() {
     const refreshInterval = (document.getElementById('refreshInterval')?.value ?? 300) * 1000;
     const soundEnabled = document.getElementById('soundEnabled')?.checked ?? true;
     const notificationsEnabled = document.getElementById('notificationsEnabled')?.checked ?? true;
+    const streamingEnabled = document.getElementById('streamingEnabled')?.checked ?? false;
+    const consensusEnabled = document.getElementById('consensusEnabled')?.checked ?? false;
+    const tolerance = parseFloat(document.getElementById('consensusTolerance')?.value);
+    const consensusTolerance = tolerance > 0 ? tolerance : window.tracker.settings.consensusTolerance;
     const displayCurrency = document.getElementById('displayCurrency')?.value || 'USD';
+    const baseCurrency = document.getElementById('baseCurrency')?.value || window.tracker.api.getBaseCurrency();
     
     window.tracker.settings = {
         ...window.tracker.settings,
         autoRefresh,
         refreshInterval,
         soundEnabled,
-        notificationsEnabled
+        notificationsEnabled,
+        streamingEnabled,
+        consensusEnabled,
+        consensusTolerance
     };
+    window.tracker.applyConsensusSettings();
     
     window.tracker.api.setDisplayCurrency(displayCurrency);
+    window.tracker.api.setBaseCurrency(baseCurrency);
     window.tracker.storage.saveSettings(window.tracker.settings);
     window.tracker.startAutoRefresh();
+    window.tracker.startStreaming();
+    // The resampling interval follows the refresh interval
+    window.tracker.scheduleSeriesRefresh(window.tracker.api.getUserSelectedAssets());
 
     if (notificationsEnabled && Notification.permission === 'default') {
         Notification.requestPermission();
@@ -680,6 +1718,7 @@ function saveSettings() {
 
     window.tracker.updateDisplay();
     window.tracker.updateAssetsGrid();
+    window.tracker.refreshNativeChart();
     window.tracker.showSuccessMessage('Settings saved!');
 }
 
@@ -689,6 +1728,8 @@ function addPriceAlert() {
     const asset = window.tracker.currentAsset;
     const info = window.tracker.api.getAssetInfo(asset);
     const currentPrice = window.tracker.allPrices[asset];
+    // Thresholds for USD-priced assets are entered in the base currency
+    const alertCurrency = window.tracker.api.isUsdPriced(asset) ? window.tracker.api.getBaseCurrency() : null;
 
     // Build inline modal instead of prompt()
     const existing = document.getElementById('alert-modal');
@@ -721,7 +1762,10 @@ function addPriceAlert() {
 
     const valueLabel = document.createElement('label');
     valueLabel.style.cssText = 'display:block;margin-bottom:1rem;';
-    valueLabel.textContent = `Value (current: ${window.tracker.formatPrice(currentPrice, asset)})`;
+    const currentLabel = alertCurrency
+        ? window.tracker.formatPrice(window.tracker.api.toBaseCurrency(currentPrice, asset), asset, alertCurrency)
+        : window.tracker.formatPrice(currentPrice, asset);
+    valueLabel.textContent = `Value${alertCurrency ? ` in ${alertCurrency}` : ''} (current: ${currentLabel})`;
     const valueInput = document.createElement('input');
     valueInput.id = 'alert-value';
     valueInput.type = 'number';
@@ -759,7 +1803,7 @@ function addPriceAlert() {
             return;
         }
         const message = `${info.name} ${alertType.replace('_', ' ')} ${value}`;
-        window.tracker.alertSystem.addAlert(asset, alertType, value, message);
+        window.tracker.alertSystem.addAlert(asset, alertType, value, message, alertCurrency);
         window.tracker.showSuccessMessage('Price alert created!');
         updateAlertsDisplay();
         modal.remove();
@@ -785,7 +1829,7 @@ function updateAlertsDisplay() {
             <div style="display: flex; justify-content: space-between; align-items: center; padding: 0.5rem; background: var(--bg-tertiary); border-radius: 0.25rem; margin-bottom: 0.5rem;">
                 <div>
                     <div style="font-weight: 500;">${sanitize(info?.name || alert.asset)}</div>
-                    <div style="font-size: 0.85rem; color: var(--text-secondary);">${sanitize(alert.type)}: ${sanitize(String(alert.value))}</div>
+                    <div style="font-size: 0.85rem; color: var(--text-secondary);">${sanitize(alert.type)}: ${sanitize(String(alert.value))}${alert.currency ? ' ' + sanitize(alert.currency) : ''}</div>
                 </div>
                 <button data-alert-id="${sanitize(String(alert.id))}" class="remove-alert-btn" style="background: var(--negative); color: var(--bg-primary); border: none; padding: 0.25rem 0.5rem; border-radius: 0.25rem; cursor: pointer; font-size: 0.8rem;">Remove</button>
             </div>
@@ -819,59 +1863,523 @@ function toggleTheme() {
     if (btn) btn.textContent = newTheme === 'dark' ? '🌙' : '☀️';
 }
 
-function exportData() {
+async function exportData() {
     if (!window.tracker) return;
     
-    const data = window.tracker.storage.exportData();
+    const api = window.tracker.api;
+    const data = await window.tracker.storage.exportData({
+        currency: api.getBaseCurrency(),
+        convert: (price, asset, time) => api.toBaseCurrency(price, asset, time)
+    });
     if (!data) {
         window.tracker.showErrorMessage('Failed to export data');
         return;
     }
     
-    const blob = new Blob([data], { type: 'application/json' });
+    const date = new Date().toISOString().split('T')[0];
+    if (!window.tracker.settings.encryptBackups) {
+        downloadFile(data, `price-tracker-backup-${date}.json`, 'application/json');
+        window.tracker.showSuccessMessage('Data exported successfully!');
+        return;
+    }
+    if (!BackupCipher.isAvailable()) {
+        window.tracker.showErrorMessage('Encrypted backups need the page to be served over https (or from localhost)');
+        return;
+    }
+
+    showPassphraseDialog({
+        title: 'Encrypt Backup',
+        confirm: true,
+        submitLabel: 'Encrypt & Export',
+        onSubmit: async (passphrase) => {
+            const encrypted = await BackupCipher.encrypt(data, passphrase);
+            downloadFile(encrypted, `price-tracker-backup-${date}.encrypted.json`, 'application/json');
+            window.tracker.showSuccessMessage('Encrypted backup exported. Keep the passphrase safe; it cannot be recovered.');
+        }
+    });
+}
+
+function setBackupEncryption(enabled) {
+    if (!window.tracker) return;
+
+    window.tracker.settings = { ...window.tracker.settings, encryptBackups: enabled };
+    window.tracker.storage.saveSettings(window.tracker.settings);
+}
+
+// Asks for a passphrase; onSubmit errors are shown in the dialog so a wrong passphrase can be retried,
+// except for damaged files and a missing Web Crypto, which close it
+function showPassphraseDialog({ title, confirm = false, submitLabel = 'OK', onSubmit }) {
+    const existing = document.getElementById('passphrase-modal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'passphrase-modal';
+    modal.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:20000;';
+
+    const box = document.createElement('div');
+    box.style.cssText = 'background:var(--bg-secondary);border:1px solid var(--border);border-radius:0.75rem;padding:1.5rem;width:320px;';
+
+    const heading = document.createElement('h4');
+    heading.style.marginBottom = '1rem';
+    heading.textContent = title;
+    box.appendChild(heading);
+
+    const inputStyle = 'width:100%;padding:0.5rem;margin-top:0.25rem;background:var(--bg-tertiary);border:1px solid var(--border);color:var(--text-primary);border-radius:0.25rem;';
+    const addInput = (labelText) => {
+        const label = document.createElement('label');
+        label.style.cssText = 'display:block;margin-bottom:0.75rem;';
+        label.textContent = labelText;
+        const input = document.createElement('input');
+        input.type = 'password';
+        input.autocomplete = confirm ? 'new-password' : 'current-password';
+        input.style.cssText = inputStyle;
+        label.appendChild(input);
+        box.appendChild(label);
+        return input;
+    };
+    const passInput = addInput('Passphrase');
+    const confirmInput = confirm ? addInput('Repeat passphrase') : null;
+
+    const errorEl = document.createElement('div');
+    errorEl.style.cssText = 'color:var(--negative);font-size:0.85rem;min-height:1.2rem;margin-bottom:0.5rem;';
+    box.appendChild(errorEl);
+
+    const btnRow = document.createElement('div');
+    btnRow.style.cssText = 'display:flex;gap:0.5rem;';
+    const submitBtn = document.createElement('button');
+    submitBtn.textContent = submitLabel;
+    submitBtn.className = 'btn-primary';
+    submitBtn.style.flex = '1';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.className = 'btn-primary';
+    cancelBtn.style.cssText = 'flex:1;background:var(--bg-tertiary);color:var(--text-primary);';
+    btnRow.appendChild(submitBtn);
+    btnRow.appendChild(cancelBtn);
+    box.appendChild(btnRow);
+    modal.appendChild(box);
+    document.body.appendChild(modal);
+    passInput.focus();
+
+    cancelBtn.onclick = () => modal.remove();
+    const submit = async () => {
+        // Enter while a slow key derivation is running must not start a second one
+        if (submitBtn.disabled) return;
+        const passphrase = passInput.value;
+        if (confirm && passphrase.length < 8) {
+            errorEl.textContent = 'Use at least 8 characters';
+            return;
+        }
+        if (confirmInput && confirmInput.value !== passphrase) {
+            errorEl.textContent = 'Passphrases do not match';
+            return;
+        }
+        if (!passphrase) return;
+        submitBtn.disabled = true;
+        errorEl.textContent = '';
+        try {
+            await onSubmit(passphrase);
+            modal.remove();
+        } catch (error) {
+            submitBtn.disabled = false;
+            if (error.reason === 'corrupted' || error.reason === 'unavailable') {
+                modal.remove();
+                window.tracker.showErrorMessage(error.message);
+                return;
+            }
+            errorEl.textContent = error.message;
+            passInput.select();
+        }
+    };
+    submitBtn.onclick = submit;
+    box.addEventListener('keydown', (e) => {
+        if (e.key === 'Enter') submit();
+        if (e.key === 'Escape') modal.remove();
+    });
+}
+
+function importData() {
+    if (!window.tracker) return;
+    
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = 'application/json';
+    
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+        
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            const text = event.target.result;
+            if (!BackupCipher.isEncrypted(text)) {
+                previewBackup(text);
+                return;
+            }
+            if (!BackupCipher.isAvailable()) {
+                window.tracker.showErrorMessage('This backup is encrypted; decrypting needs the page to be served over https (or from localhost)');
+                return;
+            }
+            showPassphraseDialog({
+                title: 'Encrypted Backup',
+                submitLabel: 'Decrypt',
+                onSubmit: async (passphrase) => {
+                    const decrypted = await BackupCipher.decrypt(text, passphrase);
+                    previewBackup(decrypted);
+                }
+            });
+        };
+        reader.readAsText(file);
+    };
+    
+    input.click();
+}
+
+function downloadFile(content, filename, type) {
+    const blob = new Blob([content], { type });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `price-tracker-backup-${new Date().toISOString().split('T')[0]}.json`;
+    a.download = filename;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
     URL.revokeObjectURL(url);
-    
-    window.tracker.showSuccessMessage('Data exported successfully!');
 }
 
-function importData() {
+// scope: 'current' for the selected asset, anything else for every asset with stored history
+async function exportHistoryCsv(scope = 'all') {
     if (!window.tracker) return;
-    
+
+    const tracker = window.tracker;
+    const api = tracker.api;
+    const assets = scope === 'current' ? [tracker.currentAsset] : tracker.storage.getAllHistoryAssets();
+    try {
+        const csv = await tracker.storage.exportHistoryCsv(assets, {
+            convert: (price, asset, time) => api.toBaseCurrency(price, asset, time),
+            currencyFor: (asset) => (api.isUsdPriced(asset) ? api.getBaseCurrency() : '')
+        });
+        const name = scope === 'current' ? tracker.currentAsset : 'all';
+        downloadFile(csv, `price-history-${name}-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+    } catch (error) {
+        tracker.showErrorMessage('Failed to export history');
+    }
+}
+
+function exportAlertsCsv(history = false) {
+    if (!window.tracker) return;
+
+    const alerts = window.tracker.alertSystem;
+    const csv = history ? alerts.exportAlertHistoryCsv() : alerts.exportAlertsCsv();
+    const name = history ? 'alert-history' : 'alerts';
+    downloadFile(csv, `price-tracker-${name}-${new Date().toISOString().split('T')[0]}.csv`, 'text/csv');
+}
+
+function importHistoryCsv() {
+    if (!window.tracker) return;
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,text/csv';
+
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                window.tracker.renderCsvImport(event.target.result);
+            } catch (error) {
+                window.tracker.showErrorMessage('Could not read CSV file');
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    input.click();
+}
+
+async function confirmCsvImport() {
+    if (!window.tracker) return;
+
+    const tracker = window.tracker;
+    try {
+        const { entries } = tracker.parseCsvImport();
+        if (entries.length === 0) {
+            tracker.showErrorMessage('Nothing to import');
+            return;
+        }
+        const result = await tracker.storage.importHistoryCsv(entries);
+        tracker.closeCsvImport();
+        tracker.chartHistory = null;
+        const selected = result.assets.filter(asset => tracker.api.getUserSelectedAssets().includes(asset));
+        await tracker.loadSavedHistory(selected);
+        tracker.showSuccessMessage(`Imported ${result.imported} point(s), ${result.duplicates} already in history`);
+    } catch (error) {
+        tracker.showErrorMessage(`CSV import: ${error.message}`);
+    }
+}
+
+async function previewBackup(text) {
+    const storage = window.tracker.storage;
+    let backup;
+    try {
+        backup = storage.parseBackup(text);
+    } catch (error) {
+        window.tracker.showErrorMessage(`Invalid backup: ${error.message}`);
+        return;
+    }
+    try {
+        showImportDialog(backup, await storage.diffBackup(backup));
+    } catch (error) {
+        window.tracker.showErrorMessage('Failed to read backup');
+    }
+}
+
+// Shows what the backup would change and lets the user merge or replace each section before anything is written
+function showImportDialog(backup, diff) {
+    if (!window.tracker) return;
+
+    const existing = document.getElementById('import-modal');
+    if (existing) existing.remove();
+
+    const modal = document.createElement('div');
+    modal.id = 'import-modal';
+    modal.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:20000;';
+
+    const box = document.createElement('div');
+    box.style.cssText = 'background:var(--bg-secondary);border:1px solid var(--border);border-radius:0.75rem;padding:1.5rem;width:420px;max-height:85vh;overflow-y:auto;';
+
+    const title = document.createElement('h4');
+    title.style.marginBottom = '0.25rem';
+    title.textContent = 'Import Backup';
+    const subtitle = document.createElement('div');
+    subtitle.style.cssText = 'font-size:0.85rem;color:var(--text-secondary);margin-bottom:1rem;';
+    const exported = diff.exportDate ? new Date(diff.exportDate).toLocaleString() : 'unknown date';
+    subtitle.textContent = `Exported ${exported} · its settings were saved ${diff.backupNewer ? 'after' : 'before'} this device's`;
+    box.appendChild(title);
+    box.appendChild(subtitle);
+
+    const formatValue = (value) => {
+        if (value === undefined) return '—';
+        const text = typeof value === 'string' ? value : JSON.stringify(value);
+        return text.length > 40 ? `${text.slice(0, 39)}…` : text;
+    };
+    const modeSelects = {};
+    const addSection = (key, heading, lines, mergeHint) => {
+        const section = document.createElement('div');
+        section.style.cssText = 'padding:0.75rem;background:var(--bg-tertiary);border-radius:0.5rem;margin-bottom:0.75rem;';
+        const header = document.createElement('div');
+        header.style.cssText = 'display:flex;justify-content:space-between;align-items:center;margin-bottom:0.5rem;';
+        const label = document.createElement('strong');
+        label.textContent = heading;
+        const select = document.createElement('select');
+        select.style.cssText = 'padding:0.25rem;background:var(--bg-secondary);border:1px solid var(--border);color:var(--text-primary);border-radius:0.25rem;';
+        [['merge', 'Merge'], ['replace', 'Replace'], ['skip', 'Skip']].forEach(([value, text]) => {
+            const option = document.createElement('option');
+            option.value = value;
+            option.textContent = text;
+            select.appendChild(option);
+        });
+        select.title = mergeHint;
+        modeSelects[key] = select;
+        header.appendChild(label);
+        header.appendChild(select);
+        section.appendChild(header);
+
+        const list = document.createElement('ul');
+        list.style.cssText = 'margin:0;padding-left:1.1rem;font-size:0.8rem;color:var(--text-secondary);';
+        (lines.length > 0 ? lines : ['No changes']).forEach(text => {
+            const item = document.createElement('li');
+            item.textContent = text;
+            list.appendChild(item);
+        });
+        section.appendChild(list);
+        box.appendChild(section);
+    };
+
+    addSection('profile', 'Settings & profile',
+        diff.profile.slice(0, 12).map(change => `${change.field}: ${formatValue(change.current)} → ${formatValue(change.incoming)}`)
+            .concat(diff.profile.length > 12 ? [`…and ${diff.profile.length - 12} more`] : []),
+        'Merge keeps lists from both sides and takes single values from the side chosen below');
+
+    // Which side wins when a merge finds two different values for the same setting
+    const preferRow = document.createElement('label');
+    preferRow.style.cssText = 'display:flex;justify-content:space-between;align-items:center;font-size:0.85rem;margin:-0.25rem 0 0.75rem;';
+    preferRow.textContent = 'On merge, where both differ keep';
+    const preferSelect = document.createElement('select');
+    preferSelect.style.cssText = 'padding:0.25rem;background:var(--bg-secondary);border:1px solid var(--border);color:var(--text-primary);border-radius:0.25rem;';
+    [['local', 'This device'], ['backup', 'The backup']].forEach(([value, text]) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = text;
+        preferSelect.appendChild(option);
+    });
+    preferSelect.value = diff.backupNewer ? 'backup' : 'local';
+    preferRow.appendChild(preferSelect);
+    box.appendChild(preferRow);
+    modeSelects.profile.addEventListener('change', () => {
+        preferRow.style.display = modeSelects.profile.value === 'merge' ? 'flex' : 'none';
+    });
+    addSection('history', 'Price history',
+        diff.history.map(h => (h.isNew
+            ? `${h.asset}: new asset, ${h.incoming} point(s)`
+            : `${h.asset}: ${h.added} new point(s), ${h.incoming - h.added} already stored (${h.stored} stored)`)),
+        'Merge adds points at new timestamps; replace swaps each imported asset\'s history for the backup\'s');
+    addSection('alerts', 'Alerts',
+        [`${diff.alerts.added} new alert(s)`, `${diff.alerts.duplicates} duplicate(s) of existing alerts`,
+            `${diff.alerts.history} triggered alert record(s)`],
+        'Merge skips alerts that duplicate an existing one; replace drops local alerts');
+
+    const btnRow = document.createElement('div');
+    btnRow.style.cssText = 'display:flex;gap:0.5rem;';
+    const confirmBtn = document.createElement('button');
+    confirmBtn.textContent = 'Import';
+    confirmBtn.className = 'btn-primary';
+    confirmBtn.style.flex = '1';
+    const cancelBtn = document.createElement('button');
+    cancelBtn.textContent = 'Cancel';
+    cancelBtn.className = 'btn-primary';
+    cancelBtn.style.cssText = 'flex:1;background:var(--bg-tertiary);color:var(--text-primary);';
+    btnRow.appendChild(confirmBtn);
+    btnRow.appendChild(cancelBtn);
+    box.appendChild(btnRow);
+    modal.appendChild(box);
+    document.body.appendChild(modal);
+
+    cancelBtn.onclick = () => modal.remove();
+    confirmBtn.onclick = async () => {
+        const modes = { prefer: preferSelect.value };
+        Object.entries(modeSelects).forEach(([key, select]) => { modes[key] = select.value; });
+        confirmBtn.disabled = true;
+        try {
+            await window.tracker.storage.restoreBackup(backup, modes);
+            modal.remove();
+            window.tracker.showSuccessMessage('Data imported successfully! Reloading...');
+            setTimeout(() => location.reload(), 1500);
+        } catch (error) {
+            confirmBtn.disabled = false;
+            window.tracker.showErrorMessage('Failed to import data');
+        }
+    };
+}
+
+function saveProviderMode() {
+    if (!window.tracker) return;
+
+    const mode = document.getElementById('providerMode')?.value || 'live';
+    try {
+        window.tracker.api.setProviderMode(mode);
+        window.tracker.showSuccessMessage(`Switching to ${mode} mode. Reloading...`);
+        setTimeout(() => location.reload(), 1000);
+    } catch (error) {
+        window.tracker.showErrorMessage(error.message);
+    }
+}
+
+function downloadRecording() {
+    if (!window.tracker) return;
+
+    const fixtures = window.tracker.api.fixtures;
+    if (fixtures.responses.length === 0) {
+        window.tracker.showErrorMessage('Nothing recorded yet. Switch to Record mode and let prices refresh.');
+        return;
+    }
+
+    const blob = new Blob([JSON.stringify(fixtures.getRecording(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = `price-tracker-fixtures-${new Date().toISOString().split('T')[0]}.json`;
+    document.body.appendChild(a);
+    a.click();
+    document.body.removeChild(a);
+    URL.revokeObjectURL(url);
+}
+
+function loadFixtures() {
+    if (!window.tracker) return;
+
     const input = document.createElement('input');
     input.type = 'file';
     input.accept = 'application/json';
-    
+
     input.onchange = (e) => {
         const file = e.target.files[0];
         if (!file) return;
-        
+
         const reader = new FileReader();
         reader.onload = (event) => {
+            let fixture;
             try {
-                const success = window.tracker.storage.importData(event.target.result);
-                if (success) {
-                    window.tracker.showSuccessMessage('Data imported successfully! Reloading...');
-                    setTimeout(() => location.reload(), 1500);
-                } else {
-                    window.tracker.showErrorMessage('Invalid backup file format');
-                }
+                fixture = JSON.parse(event.target.result);
+                new FixtureStore().load(fixture);
+            } catch (error) {
+                window.tracker.showErrorMessage('Invalid fixture file');
+                return;
+            }
+            try {
+                localStorage.setItem('providerFixtures', JSON.stringify(fixture));
             } catch (error) {
-                window.tracker.showErrorMessage('Failed to import data');
+                window.logger && window.logger.error('Failed to store fixtures:', error);
+                window.tracker.showErrorMessage(error.name === 'QuotaExceededError'
+                    ? 'Fixture file is too large for browser storage. Record fewer requests or clear saved data.'
+                    : 'Could not save fixtures to browser storage');
+                return;
             }
+            window.tracker.api.setProviderMode('replay');
+            window.tracker.showSuccessMessage('Fixtures loaded, switching to replay. Reloading...');
+            setTimeout(() => location.reload(), 1500);
         };
         reader.readAsText(file);
     };
-    
+
     input.click();
 }
 
+function importBigMacData() {
+    if (!window.tracker) return;
+
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.csv,text/csv';
+
+    input.onchange = (e) => {
+        const file = e.target.files[0];
+        if (!file) return;
+
+        const reader = new FileReader();
+        reader.onload = (event) => {
+            try {
+                const count = window.tracker.api.bigMac.importCSV(event.target.result);
+                window.tracker.bigMacRelease = null;
+                window.tracker.renderBigMacPanel();
+                window.tracker.fetchAllPrices();
+                window.tracker.showSuccessMessage(`Imported ${count} Big Mac prices`);
+            } catch (error) {
+                window.tracker.showErrorMessage(error.message);
+            }
+        };
+        reader.readAsText(file);
+    };
+
+    input.click();
+}
+
+async function resetBigMacData() {
+    if (!window.tracker) return;
+    try {
+        await window.tracker.api.bigMac.resetToBundled();
+        window.tracker.bigMacRelease = null;
+        window.tracker.renderBigMacPanel();
+        window.tracker.fetchAllPrices();
+        window.tracker.showSuccessMessage('Using bundled Big Mac data');
+    } catch (error) {
+        window.tracker.showErrorMessage('Failed to load bundled Big Mac data');
+    }
+}
+
 function resetConfiguration() {
     const modal = document.createElement('div');
     modal.style.cssText = 'position:fixed;inset:0;background:rgba(0,0,0,0.6);display:flex;align-items:center;justify-content:center;z-index:20000;';
@@ -0,0 +1,183 @@
+// ===== PRICE CHART CLASS =====
+class PriceChart {
+    constructor(canvas, analytics) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.analytics = analytics;
+        this.history = [];
+        this.range = '24h';
+        this.mode = 'line';
+        this.overlays = [];
+        this.formatPrice = (price) => price.toFixed(2);
+        this.ranges = {
+            '1h': 60 * 60 * 1000,
+            '24h': 24 * 60 * 60 * 1000,
+            '7d': 7 * 24 * 60 * 60 * 1000,
+            all: Infinity
+        };
+        this.padding = { top: 16, right: 80, bottom: 28, left: 8 };
+
+        window.addEventListener('resize', () => this.draw());
+        window.addEventListener('themeChanged', () => this.draw());
+    }
+
+    setData(history) {
+        this.history = history || [];
+    }
+
+    setRange(range) {
+        if (this.ranges[range]) this.range = range;
+    }
+
+    setMode(mode) {
+        this.mode = mode === 'area' ? 'area' : 'line';
+    }
+
+    setOverlays(overlays) {
+        this.overlays = overlays || [];
+    }
+
+    // History is stored newest first; the chart draws oldest to newest
+    getVisibleSeries() {
+        const valid = this.history.filter(h => h && h.price && !isNaN(h.price));
+        if (valid.length === 0) return [];
+        const cutoff = valid[0].time - this.ranges[this.range];
+        return valid.filter(h => h.time >= cutoff).reverse();
+    }
+
+    getOverlaySeries(prices) {
+        const series = [];
+        if (this.overlays.includes('sma')) {
+            series.push({ label: 'SMA 20', values: this.analytics.calculateSMASeries(prices, 20), dash: [] });
+        }
+        if (this.overlays.includes('ema')) {
+            series.push({ label: 'EMA 12', values: this.analytics.calculateEMASeries(prices, 12), dash: [4, 3] });
+        }
+        if (this.overlays.includes('bollinger')) {
+            const bands = this.analytics.calculateBollingerSeries(prices, 20, 2);
+            series.push({ label: 'BB upper', values: bands.map(b => b && b.upper), dash: [2, 3] });
+            series.push({ label: 'BB lower', values: bands.map(b => b && b.lower), dash: [2, 3] });
+        }
+        return series;
+    }
+
+    getColor(variable, fallback) {
+        const value = getComputedStyle(document.documentElement).getPropertyValue(variable).trim();
+        return value || fallback;
+    }
+
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = this.canvas.clientWidth;
+        const height = this.canvas.clientHeight;
+        if (this.canvas.width !== width * ratio || this.canvas.height !== height * ratio) {
+            this.canvas.width = width * ratio;
+            this.canvas.height = height * ratio;
+        }
+        this.ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        return { width, height };
+    }
+
+    draw() {
+        if (!this.canvas.isConnected || this.canvas.style.display === 'none') return;
+
+        const { width, height } = this.resize();
+        const ctx = this.ctx;
+        ctx.clearRect(0, 0, width, height);
+
+        const textColor = this.getColor('--text-secondary', '#888888');
+        const lineColor = this.getColor('--accent', '#ffffff');
+        const gridColor = this.getColor('--border', '#2a2a2a');
+        ctx.font = '12px Inter, sans-serif';
+
+        const series = this.getVisibleSeries();
+        if (series.length < 2) {
+            ctx.fillStyle = textColor;
+            ctx.textAlign = 'center';
+            ctx.fillText('Not enough history for this range yet', width / 2, height / 2);
+            return;
+        }
+
+        const prices = series.map(h => h.price);
+        const overlays = this.getOverlaySeries(prices);
+        const allValues = prices.concat(...overlays.map(o => o.values.filter(v => v != null)));
+        let min = Math.min(...allValues);
+        let max = Math.max(...allValues);
+        if (min === max) {
+            min -= Math.abs(min) * 0.01 || 1;
+            max += Math.abs(max) * 0.01 || 1;
+        }
+
+        const { top, right, bottom, left } = this.padding;
+        const plotWidth = width - left - right;
+        const plotHeight = height - top - bottom;
+        const startTime = series[0].time;
+        const span = Math.max(series[series.length - 1].time - startTime, 1);
+        const x = (time) => left + ((time - startTime) / span) * plotWidth;
+        const y = (price) => top + (1 - (price - min) / (max - min)) * plotHeight;
+
+        // Horizontal grid with price labels
+        ctx.strokeStyle = gridColor;
+        ctx.fillStyle = textColor;
+        ctx.textAlign = 'left';
+        ctx.lineWidth = 1;
+        for (let i = 0; i <= 4; i++) {
+            const value = min + ((max - min) * i) / 4;
+            const py = y(value);
+            ctx.beginPath();
+            ctx.moveTo(left, py);
+            ctx.lineTo(left + plotWidth, py);
+            ctx.stroke();
+            ctx.fillText(this.formatPrice(value), left + plotWidth + 6, py + 4);
+        }
+
+        // Time labels at both ends
+        const formatTime = (time) => this.range === '7d' || this.range === 'all'
+            ? new Date(time).toLocaleDateString()
+            : new Date(time).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+        ctx.textAlign = 'left';
+        ctx.fillText(formatTime(startTime), left, height - 8);
+        ctx.textAlign = 'right';
+        ctx.fillText(formatTime(series[series.length - 1].time), left + plotWidth, height - 8);
+
+        // Price path
+        ctx.beginPath();
+        series.forEach((point, i) => {
+            if (i === 0) ctx.moveTo(x(point.time), y(point.price));
+            else ctx.lineTo(x(point.time), y(point.price));
+        });
+        ctx.strokeStyle = lineColor;
+        ctx.lineWidth = 2;
+        ctx.stroke();
+
+        if (this.mode === 'area') {
+            ctx.lineTo(x(series[series.length - 1].time), top + plotHeight);
+            ctx.lineTo(x(startTime), top + plotHeight);
+            ctx.closePath();
+            ctx.globalAlpha = 0.15;
+            ctx.fillStyle = lineColor;
+            ctx.fill();
+            ctx.globalAlpha = 1;
+        }
+
+        // Indicator overlays
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = textColor;
+        overlays.forEach(overlay => {
+            ctx.setLineDash(overlay.dash);
+            ctx.beginPath();
+            let started = false;
+            overlay.values.forEach((value, i) => {
+                if (value == null) return;
+                if (!started) {
+                    ctx.moveTo(x(series[i].time), y(value));
+                    started = true;
+                } else {
+                    ctx.lineTo(x(series[i].time), y(value));
+                }
+            });
+            ctx.stroke();
+        });
+        ctx.setLineDash([]);
+    }
+}
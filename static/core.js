@@ -4,6 +4,7 @@ class UniversalAPI {
         this.baseCurrency = localStorage.getItem('baseCurrency') || 'USD';
         this.displayCurrency = localStorage.getItem('displayCurrency') || 'USD';
         this.forexRates = {};
+        this.forexRatesCachedAt = null;
         
         this.assets = {
             // Cryptocurrencies
@@ -53,10 +54,31 @@ class UniversalAPI {
             bigmac_eu: { symbol: 'EU', name: 'Big Mac EU', type: 'bigmac' },
             bigmac_ca: { symbol: 'CA', name: 'Big Mac Canada', type: 'bigmac' }
         };
+        this.customAssets = JSON.parse(localStorage.getItem('customAssets')) || {};
+        Object.entries(this.customAssets).forEach(([key, info]) => {
+            if (!this.assets[key]) this.assets[key] = { ...info };
+        });
+        this.invertedPairs = JSON.parse(localStorage.getItem('invertedPairs')) || [];
+        this.invertedPairs.forEach(asset => this.applyPairInversion(asset));
         
+        // Shared demo keys; used only until the user saves their own in settings
         this.apiKeys = {
-            metalprice: '16b5a1613fae4f9c92989092b4bb75e7'
+            metalpriceapi: '16b5a1613fae4f9c92989092b4bb75e7'
+        };
+        // Providers that take a user key. dailyQuota is the free plan's allowance, used to warn about a user
+        // key's usage; requests are only refused against a quota the user entered for their own key.
+        this.apiKeyProviders = {
+            metalpriceapi: {
+                label: 'MetalpriceAPI',
+                signupUrl: 'https://metalpriceapi.com/register',
+                dailyQuota: 3, // free plan: 100 requests/month
+                testUrl: (key) => this.getMetalRatesUrl(key, ['XAU'])
+            }
         };
+        this.userApiKeys = JSON.parse(localStorage.getItem('userApiKeys')) || {};
+        this.apiUsage = JSON.parse(localStorage.getItem('apiUsage')) || {};
+        this.quotaWarningRatio = 0.8;
+        this.maxUsageDays = 7;
         this.fallbackPrices = {
             // Crypto (mid-2025 approximate)
             btc: 103000, eth: 2500, bnb: 640, ada: 0.77, sol: 170, xrp: 2.35, dot: 4.5, doge: 0.22, avax: 23, matic: 0.25,
@@ -71,15 +93,69 @@ class UniversalAPI {
         };
         
         this.lastPrices = JSON.parse(localStorage.getItem('lastAssetPrices')) || {};
+        this.lastQuoteMeta = JSON.parse(localStorage.getItem('lastQuoteMeta')) || {};
         this.userSelectedAssets = JSON.parse(localStorage.getItem('userSelectedAssets')) || [];
         this.apiCallCount = 0;
         this.maxRetries = 3;
-        this.circuitBreaker = {
-            failures: 0,
-            threshold: 5,
-            timeout: 30000,
-            state: 'CLOSED'
+        this.maxForexSnapshots = 60;
+        this.sortedSnapshots = null;
+        // Breakers and rate limiters are kept per host so one failing upstream cannot block the others
+        this.defaultBreakerPolicy = { threshold: 5, timeout: 30000 };
+        this.hostPolicies = {};
+        this.circuitBreakers = {};
+        this.rateLimiters = {};
+        // Hosts that are not tied to a price provider or news feed (local test overrides)
+        this.allowedHosts = [];
+        // Response cache TTLs by URL prefix (ms); the longest matching prefix wins, unmatched URLs are not cached
+        this.cachePolicies = {
+            'https://open.er-api.com/': 60 * 60 * 1000,
+            'https://api.allorigins.win/': 10 * 60 * 1000,
+            'https://api.binance.com/api/v3/ticker/': 15000,
+            'https://api.binance.com/api/v3/klines': 60000,
+            'https://api.coinbase.com/': 15000,
+            'https://api.kraken.com/': 15000
+        };
+        this.maxCacheEntries = 50;
+        // Query parameters that carry credentials; cache keys never contain them so keys stay out of localStorage
+        this.secretParams = ['api_key', 'apikey', 'access_key', 'key', 'token'];
+        // RSS/Atom feeds per asset category. Most send no CORS headers, so they are only read through
+        // the self-hosted proxy; without one there is no news (see needsNewsProxy)
+        this.defaultNewsFeeds = [
+            { name: 'CoinDesk', category: 'crypto', url: 'https://www.coindesk.com/arc/outboundfeeds/rss/' },
+            { name: 'Cointelegraph', category: 'crypto', url: 'https://cointelegraph.com/rss' },
+            { name: 'Investing.com Commodities', category: 'metal', url: 'https://www.investing.com/rss/news_11.rss' },
+            { name: 'Investing.com Forex', category: 'currency', url: 'https://www.investing.com/rss/news_1.rss' }
+        ];
+        this.newsFeeds = JSON.parse(localStorage.getItem('newsFeeds')) || this.defaultNewsFeeds;
+        // Extra words that identify an asset in a headline, on top of its name and symbol
+        this.newsAliases = {
+            btc: ['bitcoin'], eth: ['ethereum', 'ether'], bnb: ['binance coin'], ada: ['cardano'], sol: ['solana'],
+            xrp: ['ripple'], dot: ['polkadot'], doge: ['dogecoin'], avax: ['avalanche'], matic: ['polygon'],
+            gold: ['bullion', 'xau'], silver: ['xag'],
+            usd_eur: ['euro', 'ecb'], usd_gbp: ['sterling', 'pound', 'bank of england'], usd_jpy: ['yen', 'boj'],
+            usd_cny: ['yuan', 'renminbi'], usd_chf: ['franc', 'snb'], usd_cad: ['loonie'], usd_inr: ['rupee'],
+            usd_rub: ['ruble', 'rouble'], usd_try: ['lira']
         };
+        this.maxNewsItems = 50;
+        this.newsTTL = 10 * 60 * 1000;
+        this.responseCache = this.loadResponseCache();
+        this.inFlightRequests = new Map();
+        // Optional self-hosted relay (proxy/server.js); metals fall back to the public allorigins relay without it
+        this.proxyBaseUrl = localStorage.getItem('proxyBaseUrl') || '';
+        this.proxyHost = null;
+        this.providers = {};
+        this.providerChains = {};
+        // Off by default: asks every provider in a chain and takes the median, rejecting outliers
+        this.consensus = { enabled: false, tolerance: 0.02 };
+        this.bigMac = new BigMacIndex();
+        this.registerDefaultProviders();
+        this.applyProxyHost();
+        // live | record | replay | synthetic; replay and synthetic never touch the network
+        this.providerModes = ['live', 'record', 'replay', 'synthetic'];
+        this.providerMode = this.getProviderMode();
+        this.fixtures = new FixtureStore();
+        this.synthetic = new SyntheticMarket(parseInt(this.getModeOption('syntheticSeed'), 10) || 42);
+        this.fixturesReady = this.applyProviderMode();
         this.setupServiceWorker();
     }
 
@@ -95,6 +171,8 @@ class UniversalAPI {
                     this.handleServiceWorkerMessage(event.data);
                 });
                 
+                this.syncServiceWorkerHosts();
+
                 // Check for updates
                 registration.addEventListener('updatefound', () => {
                     window.logger && window.logger.debug('Service Worker update found');
@@ -105,6 +183,19 @@ class UniversalAPI {
         }
     }
 
+    // The worker has no host list of its own; it passes through whatever the registry, feeds and proxy name
+    async syncServiceWorkerHosts() {
+        if (!('serviceWorker' in navigator) || !navigator.serviceWorker.ready) return;
+        try {
+            const registration = await navigator.serviceWorker.ready;
+            if (registration.active) {
+                registration.active.postMessage({ type: 'SET_API_HOSTS', hosts: this.getAllowedHosts() });
+            }
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to sync service worker hosts:', error);
+        }
+    }
+
     handleServiceWorkerMessage(data) {
         if (data.type === 'BACKGROUND_SYNC' && data.action === 'PRICE_UPDATE_AVAILABLE') {
             this.notifyPriceUpdate();
@@ -116,32 +207,462 @@ class UniversalAPI {
         window.dispatchEvent(new CustomEvent('backgroundPriceUpdate'));
     }
 
-    async fetchWithTimeout(url, timeout = 8000) {
-        const ALLOWED_HOSTS = [
-            'api.binance.com',
-            'open.er-api.com',
-            'api.metalpriceapi.com',
-            'api.allorigins.win',
-            'api.rss2json.com'
-        ];
+    registerDefaultProviders() {
+        this.registerProvider('binance', {
+            hosts: ['api.binance.com'],
+            types: ['crypto'],
+            // 6,000 request weight per minute per IP
+            rateLimit: { capacity: 50, refillPerSecond: 20 },
+            fetch: (asset) => this.fetchCryptoPrice(asset),
+            fetchBatch: (assets) => this.fetchCryptoPrices(assets)
+        });
+        this.registerProvider('coinbase', {
+            hosts: ['api.coinbase.com'],
+            types: ['crypto'],
+            // 10 public requests per second
+            rateLimit: { capacity: 10, refillPerSecond: 10 },
+            fetch: (asset) => this.fetchCoinbasePrice(asset)
+        });
+        this.registerProvider('kraken', {
+            hosts: ['api.kraken.com'],
+            types: ['crypto'],
+            // Public endpoints allow roughly one call per second
+            rateLimit: { capacity: 5, refillPerSecond: 1 },
+            fetch: (asset) => this.fetchKrakenPrice(asset)
+        });
+        this.registerProvider('metalpriceapi', {
+            hosts: ['api.metalpriceapi.com', 'api.allorigins.win'],
+            types: ['metal'],
+            // Monthly quota on the free plan; the public relay is slow to recover once it starts failing
+            rateLimit: { capacity: 2, refillPerSecond: 0.1 },
+            breaker: { threshold: 3, timeout: 120000 },
+            fetch: (asset) => this.fetchMetalPrice(asset),
+            fetchBatch: (assets) => this.fetchMetalPrices(assets)
+        });
+        this.registerProvider('erapi', {
+            hosts: ['open.er-api.com'],
+            types: ['currency'],
+            // Rates update daily and bursts are answered with 429
+            rateLimit: { capacity: 3, refillPerSecond: 1 / 60 },
+            fetch: (asset) => this.fetchForexPrice(asset)
+        });
+        this.registerProvider('bigmac', {
+            hosts: [],
+            types: ['bigmac'],
+            fetch: async (asset) => {
+                await this.bigMac.load();
+                return this.getBigMacPrice(asset);
+            }
+        });
+
+        this.setProviderChain('crypto', ['binance', 'coinbase', 'kraken']);
+        this.setProviderChain('metal', ['metalpriceapi']);
+        this.setProviderChain('currency', ['erapi']);
+        this.setProviderChain('bigmac', ['bigmac']);
+    }
+
+    // Provider shape: { hosts: [...], types: [...], supports?(asset, info), fetch(asset, info) -> price,
+    //                  fetchBatch?(assets) -> { asset: price },
+    //                  rateLimit?: { capacity, refillPerSecond }, breaker?: { threshold, timeout } }
+    // A price may also be { price, cachedAt } when it was answered from the response cache
+    registerProvider(name, provider) {
+        if (!provider || typeof provider.fetch !== 'function') {
+            throw new Error(`Provider ${name} must implement fetch()`);
+        }
+        (provider.hosts || []).forEach(host => {
+            this.setHostPolicy(host, { rateLimit: provider.rateLimit, breaker: provider.breaker });
+        });
+        this.providers[name] = {
+            name,
+            hosts: provider.hosts || [],
+            types: provider.types || [],
+            supports: provider.supports || null,
+            fetch: provider.fetch,
+            fetchBatch: provider.fetchBatch || null
+        };
+    }
+
+    unregisterProvider(name) {
+        delete this.providers[name];
+        Object.keys(this.providerChains).forEach(type => {
+            this.providerChains[type] = this.providerChains[type].filter(n => n !== name);
+        });
+    }
+
+    setProviderChain(type, names) {
+        this.providerChains[type] = names.filter(name => this.providers[name]);
+    }
+
+    getProviderChain(type) {
+        return (this.providerChains[type] || []).map(name => this.providers[name]).filter(Boolean);
+    }
+
+    getProvidersFor(asset) {
+        const info = this.assets[asset];
+        if (!info) return [];
+        return this.getProviderChain(info.type).filter(provider => this.providerSupports(provider, asset));
+    }
+
+    providerSupports(provider, asset) {
+        const info = this.assets[asset];
+        if (!info) return false;
+        return provider.supports ? provider.supports(asset, info) : provider.types.includes(info.type);
+    }
+
+    setHostPolicy(host, policy) {
+        this.hostPolicies[host] = { ...this.hostPolicies[host], ...policy };
+        delete this.circuitBreakers[host];
+        delete this.rateLimiters[host];
+    }
+
+    getCircuitBreaker(host) {
+        if (!this.circuitBreakers[host]) {
+            const policy = this.hostPolicies[host]?.breaker || this.defaultBreakerPolicy;
+            this.circuitBreakers[host] = new CircuitBreaker(host, policy.threshold, policy.timeout);
+        }
+        return this.circuitBreakers[host];
+    }
+
+    getRateLimiter(host) {
+        const policy = this.hostPolicies[host]?.rateLimit;
+        if (!policy) return null;
+        if (!this.rateLimiters[host]) {
+            this.rateLimiters[host] = new TokenBucket(policy.capacity, policy.refillPerSecond);
+        }
+        return this.rateLimiters[host];
+    }
+
+    // Snapshot of every upstream we have talked to, for the settings panel and debugging
+    getUpstreamStatus() {
+        const hosts = new Set([...Object.keys(this.circuitBreakers), ...Object.keys(this.rateLimiters)]);
+        return Array.from(hosts).sort().map(host => {
+            const breaker = this.circuitBreakers[host];
+            const limiter = this.rateLimiters[host];
+            return {
+                host,
+                state: breaker ? breaker.getState() : 'CLOSED',
+                failures: breaker ? breaker.failures : 0,
+                lastFailure: breaker ? breaker.lastFailure : null,
+                tokens: limiter ? Math.floor(limiter.available()) : null,
+                capacity: limiter ? limiter.capacity : null
+            };
+        });
+    }
+
+    getProviderForHost(host) {
+        const name = Object.keys(this.providers).find(n => this.providers[n].hosts.includes(host));
+        return name || host;
+    }
+
+    getApiKey(provider) {
+        return this.userApiKeys[provider]?.key || this.apiKeys[provider] || null;
+    }
+
+    hasUserApiKey(provider) {
+        return Boolean(this.userApiKeys[provider]?.key);
+    }
+
+    // The shared demo key is used by everyone, so a local count says nothing about its real quota
+    getDailyQuota(provider) {
+        if (!this.hasUserApiKey(provider)) return null;
+        return this.userApiKeys[provider].dailyQuota || this.apiKeyProviders[provider]?.dailyQuota || null;
+    }
+
+    getEnforcedQuota(provider) {
+        return this.hasUserApiKey(provider) ? this.userApiKeys[provider].dailyQuota || null : null;
+    }
+
+    // Makes a live test call with the key; throws with the provider's message if it is rejected
+    async validateApiKey(provider, key) {
+        const config = this.apiKeyProviders[provider];
+        if (!config) throw new Error(`Unknown provider: ${provider}`);
+        const trimmed = (key || '').trim();
+        if (!/^[A-Za-z0-9_-]{8,128}$/.test(trimmed)) {
+            throw new Error('API key looks malformed');
+        }
+
+        const data = await this.fetchWithTimeout(config.testUrl(trimmed));
+        if (!data || data.success === false) {
+            const reason = data?.error?.message || data?.error?.info || 'key was rejected';
+            throw new Error(`${config.label}: ${reason}`);
+        }
+        return trimmed;
+    }
+
+    saveApiKey(provider, key, dailyQuota = null) {
+        const quota = parseInt(dailyQuota, 10);
+        this.userApiKeys[provider] = {
+            key,
+            dailyQuota: quota > 0 ? quota : null,
+            validatedAt: Date.now()
+        };
+        localStorage.setItem('userApiKeys', JSON.stringify(this.userApiKeys));
+    }
+
+    removeApiKey(provider) {
+        delete this.userApiKeys[provider];
+        localStorage.setItem('userApiKeys', JSON.stringify(this.userApiKeys));
+    }
+
+    getUsageDay() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    getApiUsage(provider, day = this.getUsageDay()) {
+        return this.apiUsage[day]?.[provider] || 0;
+    }
+
+    // Counts every request sent upstream. Warns once usage of a user key nears its daily quota and
+    // refuses only once a quota the user entered themselves is spent.
+    recordApiCall(provider) {
+        const enforced = this.getEnforcedQuota(provider);
+        const used = this.getApiUsage(provider);
+        if (enforced && used >= enforced) {
+            throw new Error(`Daily quota of ${enforced} requests reached for ${provider}`);
+        }
+
+        const day = this.getUsageDay();
+        this.apiUsage[day] = { ...this.apiUsage[day], [provider]: used + 1 };
+        const days = Object.keys(this.apiUsage).sort().slice(-this.maxUsageDays);
+        this.apiUsage = Object.fromEntries(days.map(d => [d, this.apiUsage[d]]));
+        try {
+            localStorage.setItem('apiUsage', JSON.stringify(this.apiUsage));
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to persist API usage:', error);
+        }
+
+        // Strictly before the last request, so there is still something left to act on
+        const quota = this.getDailyQuota(provider);
+        const warnAt = quota ? Math.min(Math.ceil(quota * this.quotaWarningRatio), quota - 1) : 0;
+        if (warnAt > 0 && used + 1 === warnAt) {
+            window.logger && window.logger.warn(`${provider} has used ${used + 1} of ${quota} daily requests`);
+            window.dispatchEvent(new CustomEvent('apiQuotaWarning', {
+                detail: { provider, used: used + 1, quota }
+            }));
+        }
+    }
+
+    getQuotaStatus() {
+        return Object.entries(this.apiKeyProviders).map(([provider, config]) => ({
+            provider,
+            label: config.label,
+            signupUrl: config.signupUrl,
+            hasUserKey: this.hasUserApiKey(provider),
+            used: this.getApiUsage(provider),
+            quota: this.getDailyQuota(provider),
+            userQuota: this.getEnforcedQuota(provider)
+        }));
+    }
+
+    // URL flag first so a demo link can override the saved setting
+    getModeOption(name) {
+        try {
+            return new URLSearchParams(window.location.search).get(name) || localStorage.getItem(name);
+        } catch {
+            return null;
+        }
+    }
+
+    getProviderMode() {
+        const mode = this.getModeOption('providerMode');
+        return this.providerModes.includes(mode) ? mode : 'live';
+    }
+
+    setProviderMode(mode) {
+        if (!this.providerModes.includes(mode)) throw new Error(`Unknown provider mode: ${mode}`);
+        if (mode === 'live') {
+            localStorage.removeItem('providerMode');
+        } else {
+            localStorage.setItem('providerMode', mode);
+        }
+    }
+
+    isLiveMode() {
+        return this.providerMode === 'live' || this.providerMode === 'record';
+    }
+
+    async applyProviderMode() {
+        if (this.providerMode === 'live') return;
+        window.logger && window.logger.info(`Provider mode: ${this.providerMode}`);
+
+        if (this.providerMode === 'record') {
+            this.fixtures.loadRecording();
+            return;
+        }
+
+        if (this.providerMode === 'synthetic') {
+            this.registerProvider('synthetic', {
+                hosts: [],
+                types: ['crypto', 'metal', 'currency', 'bigmac'],
+                fetch: (asset, info) => this.synthetic.next(asset, info.type, this.getSyntheticStart(asset))
+            });
+            ['crypto', 'metal', 'currency', 'bigmac'].forEach(type => this.setProviderChain(type, ['synthetic']));
+            return;
+        }
+
+        // Replay: an imported fixture file wins, otherwise a same-origin ?fixtures= path
+        const speed = parseFloat(this.getModeOption('replaySpeed')) || 1;
+        const startValue = this.getModeOption('replayStart');
+        const start = startValue ? (isNaN(startValue) ? Date.parse(startValue) : Number(startValue)) : null;
+        try {
+            const stored = localStorage.getItem('providerFixtures');
+            if (stored) {
+                this.fixtures.load(JSON.parse(stored));
+            } else {
+                const path = this.getModeOption('fixtures');
+                if (!path) throw new Error('No fixtures loaded; import a recording or pass ?fixtures=');
+                const url = new URL(path, window.location.href);
+                if (url.origin !== window.location.origin) throw new Error('Fixtures must be served from this origin');
+                const response = await fetch(url.href);
+                this.fixtures.load(await response.json());
+            }
+        } catch (error) {
+            window.logger && window.logger.error('Failed to load replay fixtures:', error);
+        }
+        this.fixtures.setClock(start, speed);
+    }
+
+    getSyntheticStart(asset) {
+        return this.getFallbackPrice(asset) || this.lastPrices[asset] || 100;
+    }
+
+    // Accepts an https origin (plus optional path), or http for a proxy on this machine; '' turns the proxy off
+    normalizeProxyBaseUrl(value) {
+        const trimmed = (value || '').trim();
+        if (!trimmed) return '';
+        let url;
+        try {
+            url = new URL(trimmed);
+        } catch {
+            throw new Error('Proxy URL is not a valid URL');
+        }
+        const isLocal = url.hostname === 'localhost' || url.hostname === '127.0.0.1';
+        if (url.protocol !== 'https:' && !(url.protocol === 'http:' && isLocal)) {
+            throw new Error('Proxy URL must use https (http is only allowed for localhost)');
+        }
+        if (url.username || url.password || url.search || url.hash) {
+            throw new Error('Proxy URL must not contain credentials, a query or a fragment');
+        }
+        return `${url.origin}${url.pathname.replace(/\/+$/, '')}`;
+    }
+
+    getProxyHost() {
+        return this.proxyBaseUrl ? new URL(this.proxyBaseUrl).hostname : null;
+    }
+
+    // Proxied requests are charged to the upstream they forward to (see getUpstreamHost), so the proxy
+    // host itself only needs to be allowed and cached like the public relay
+    applyProxyHost() {
+        this.proxyHost = this.getProxyHost();
+        if (this.proxyHost) {
+            this.setCachePolicy(`${this.proxyBaseUrl}/`, this.getCacheTTL('https://api.allorigins.win/'));
+        }
+    }
+
+    // Host whose rate limit, circuit breaker and quota apply to a request: the target of a request
+    // through our proxy, otherwise the host the request goes to
+    getUpstreamHost(url) {
+        const parsed = new URL(url);
+        if (this.proxyHost && parsed.hostname === this.proxyHost && parsed.pathname.endsWith('/proxy')) {
+            try {
+                return new URL(parsed.searchParams.get('url')).hostname;
+            } catch {
+                return parsed.hostname;
+            }
+        }
+        return parsed.hostname;
+    }
+
+    setProxyBaseUrl(value) {
+        const normalized = this.normalizeProxyBaseUrl(value);
+        if (this.proxyHost) this.setCachePolicy(`${this.proxyBaseUrl}/`, 0);
+        this.proxyBaseUrl = normalized;
+        if (normalized) {
+            localStorage.setItem('proxyBaseUrl', normalized);
+        } else {
+            localStorage.removeItem('proxyBaseUrl');
+        }
+        this.applyProxyHost();
+        this.syncServiceWorkerHosts();
+        return normalized;
+    }
+
+    // The bundled proxy answers /health with the upstreams it forwards to. Fetched directly so the
+    // probe does not count against the metals quota or rate limit.
+    async checkProxy() {
+        if (!this.proxyBaseUrl) throw new Error('No proxy configured');
+        const controller = new AbortController();
+        const timeoutId = setTimeout(() => controller.abort(), 5000);
+        try {
+            const response = await fetch(`${this.proxyBaseUrl}/health`, { signal: controller.signal });
+            const data = response.ok ? await response.json() : null;
+            if (!data || data.ok !== true) throw new Error('Proxy did not report healthy');
+            return data;
+        } finally {
+            clearTimeout(timeoutId);
+        }
+    }
+
+    getAllowedHosts() {
+        const hosts = new Set(this.allowedHosts);
+        Object.values(this.providers).forEach(provider => provider.hosts.forEach(host => hosts.add(host)));
+        this.newsFeeds.forEach(feed => {
+            try {
+                hosts.add(new URL(feed.url).hostname);
+            } catch {
+                // invalid feeds are rejected by setNewsFeeds; ignore stale entries
+            }
+        });
+        if (this.proxyHost) hosts.add(this.proxyHost);
+        return Array.from(hosts);
+    }
+
+    getProxiedUrl(url) {
+        return this.proxyBaseUrl ? `${this.proxyBaseUrl}/proxy?url=${encodeURIComponent(url)}` : url;
+    }
+
+    async requestFeed(feed) {
+        const xml = await this.requestWithRetry(this.getProxiedUrl(feed.url), 2, 8000, 'text');
+        return NewsFeedParser.parse(xml, feed);
+    }
+
+    // Live feeds need the proxy (replay and synthetic modes answer from fixtures without one)
+    needsNewsProxy() {
+        return !this.proxyBaseUrl && this.isLiveMode();
+    }
+
+    async fetchWithTimeout(url, timeout = 8000, format = 'json') {
+        const ALLOWED_HOSTS = this.getAllowedHosts();
+        let host;
         try {
-            const { hostname } = new URL(url);
-            if (!ALLOWED_HOSTS.includes(hostname)) {
-                throw new Error(`Blocked request to disallowed host: ${hostname}`);
+            host = new URL(url).hostname;
+            if (!ALLOWED_HOSTS.includes(host)) {
+                throw new Error(`Blocked request to disallowed host: ${host}`);
             }
         } catch (e) {
             if (e.message.startsWith('Blocked')) throw e;
             throw new Error(`Invalid URL: ${url}`);
         }
 
-        if (this.circuitBreaker.state === 'OPEN') {
-            if (Date.now() - this.circuitBreaker.lastFailure < this.circuitBreaker.timeout) {
-                throw new Error('Circuit breaker is OPEN');
-            } else {
-                this.circuitBreaker.state = 'HALF_OPEN';
-            }
+        if (this.providerMode === 'replay') {
+            await this.fixturesReady;
+            return this.fixtures.replay(url);
+        }
+        if (this.providerMode === 'synthetic') {
+            throw new Error('Network requests are disabled in synthetic mode');
         }
 
+        const upstream = this.getUpstreamHost(url);
+        const breaker = this.getCircuitBreaker(upstream);
+        if (!breaker.allowRequest()) {
+            throw new Error(`Circuit breaker is OPEN for ${upstream}`);
+        }
+        const limiter = this.getRateLimiter(upstream);
+        if (limiter) {
+            await limiter.acquire(upstream);
+        }
+        this.recordApiCall(this.getProviderForHost(upstream));
+
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), timeout);
 
@@ -150,24 +671,66 @@ class UniversalAPI {
             clearTimeout(timeoutId);
             if (response.ok) {
                 this.apiCallCount++;
-                this.resetCircuitBreaker();
-                return await response.json();
+                breaker.recordSuccess();
+                const data = format === 'text' ? await response.text() : await response.json();
+                if (this.providerMode === 'record') this.fixtures.record(url, data);
+                return data;
             }
-            throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+            const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+            error.status = response.status;
+            throw error;
         } catch (error) {
             clearTimeout(timeoutId);
-            this.recordCircuitBreakerFailure();
+            // A rejected request (bad symbol, bad key) says nothing about the host's health
+            if (!this.isClientError(error)) breaker.recordFailure();
             throw error;
         }
     }
 
-    async requestWithRetry(url, attempts = 3, timeout = 8000) {
+    // 4xx other than timeouts and throttling: repeating the same request gets the same answer
+    isClientError(error) {
+        return error.status >= 400 && error.status < 500 && error.status !== 408 && error.status !== 429;
+    }
+
+    // Cached, deduplicated entry point for upstream GETs: a fresh cached response is returned as-is
+    // and identical concurrent calls share one promise
+    async requestWithRetry(url, attempts = 3, timeout = 8000, format = 'json') {
+        return (await this.requestWithMeta(url, attempts, timeout, format)).data;
+    }
+
+    // Resolves to { data, cachedAt }: cachedAt is when a cached response was stored, null when fetched now
+    async requestWithMeta(url, attempts = 3, timeout = 8000, format = 'json') {
+        const ttl = this.getCacheTTL(url);
+        if (ttl > 0) {
+            const entry = this.getCacheEntry(url, ttl);
+            if (entry) return { data: entry.data, cachedAt: entry.time };
+        }
+
+        if (this.inFlightRequests.has(url)) {
+            return this.inFlightRequests.get(url);
+        }
+
+        const request = this.retryRequest(url, attempts, timeout, format)
+            .then(data => {
+                // Some APIs report errors such as a bad key in a 200 body; never cache those
+                if (ttl > 0 && data?.success !== false) this.setCachedResponse(url, data);
+                return { data, cachedAt: null };
+            })
+            .finally(() => this.inFlightRequests.delete(url));
+        this.inFlightRequests.set(url, request);
+        return request;
+    }
+
+    async retryRequest(url, attempts = 3, timeout = 8000, format = 'json') {
+        // Offline modes answer deterministically, so retrying cannot help
+        if (!this.isLiveMode()) attempts = 1;
         let lastError;
         for (let i = 0; i < attempts; i++) {
             try {
-                return await this.fetchWithTimeout(url, timeout);
+                return await this.fetchWithTimeout(url, timeout, format);
             } catch (err) {
                 lastError = err;
+                if (this.isClientError(err)) break;
                 if (i < attempts - 1) {
                     const backoff = Math.pow(2, i) * 1000;
                     await new Promise(res => setTimeout(res, backoff));
@@ -177,149 +740,604 @@ class UniversalAPI {
         throw lastError;
     }
 
-    resetCircuitBreaker() {
-        this.circuitBreaker.failures = 0;
-        this.circuitBreaker.state = 'CLOSED';
+    setCachePolicy(prefix, ttl) {
+        if (ttl > 0) {
+            this.cachePolicies[prefix] = ttl;
+        } else {
+            delete this.cachePolicies[prefix];
+        }
+    }
+
+    getCacheTTL(url) {
+        // Recording must see real responses and offline modes must not serve stale live ones
+        if (this.providerMode !== 'live') return 0;
+        const match = Object.keys(this.cachePolicies)
+            .filter(prefix => url.startsWith(prefix))
+            .sort((a, b) => b.length - a.length)[0];
+        return match ? this.cachePolicies[match] : 0;
+    }
+
+    // Cache key for a URL with credentials removed, including those inside a relayed url= parameter
+    getCacheKey(url) {
+        let parsed;
+        try {
+            parsed = new URL(url);
+        } catch {
+            return url;
+        }
+        this.secretParams.forEach(name => parsed.searchParams.delete(name));
+        const inner = parsed.searchParams.get('url');
+        if (inner) parsed.searchParams.set('url', this.getCacheKey(inner));
+        return parsed.toString();
+    }
+
+    getCacheEntry(url, ttl) {
+        const entry = this.responseCache[this.getCacheKey(url)];
+        return entry && Date.now() - entry.time < ttl ? entry : null;
+    }
+
+    setCachedResponse(url, data) {
+        this.responseCache[this.getCacheKey(url)] = { time: Date.now(), data };
+        this.saveResponseCache();
+    }
+
+    // Entries saved before keys were sanitized may hold an API key; they are dropped, not migrated
+    loadResponseCache() {
+        let cache;
+        try {
+            cache = JSON.parse(localStorage.getItem('apiResponseCache')) || {};
+        } catch {
+            cache = {};
+        }
+        const safe = Object.fromEntries(Object.entries(cache).filter(([key]) => this.getCacheKey(key) === key));
+        if (Object.keys(safe).length !== Object.keys(cache).length) {
+            try {
+                localStorage.setItem('apiResponseCache', JSON.stringify(safe));
+            } catch (error) {
+                window.logger && window.logger.warn('Failed to persist response cache:', error);
+            }
+        }
+        return safe;
     }
 
-    recordCircuitBreakerFailure() {
-        this.circuitBreaker.failures++;
-        this.circuitBreaker.lastFailure = Date.now();
-        if (this.circuitBreaker.failures >= this.circuitBreaker.threshold) {
-            this.circuitBreaker.state = 'OPEN';
-            window.logger && window.logger.warn('Circuit breaker opened due to repeated failures');
+    // Drops expired entries and keeps the newest maxCacheEntries so the cache stays within storage limits
+    saveResponseCache() {
+        const now = Date.now();
+        const live = Object.entries(this.responseCache)
+            .filter(([url, entry]) => now - entry.time < this.getCacheTTL(url))
+            .sort((a, b) => b[1].time - a[1].time)
+            .slice(0, this.maxCacheEntries);
+        this.responseCache = Object.fromEntries(live);
+        try {
+            localStorage.setItem('apiResponseCache', JSON.stringify(this.responseCache));
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to persist response cache:', error);
         }
     }
 
+    clearResponseCache() {
+        this.responseCache = {};
+        localStorage.removeItem('apiResponseCache');
+    }
+
+    resetCircuitBreaker(host) {
+        const hosts = host ? [host] : Object.keys(this.circuitBreakers);
+        hosts.forEach(h => this.circuitBreakers[h] && this.circuitBreakers[h].recordSuccess());
+    }
+
+    getCryptoSymbol(asset) {
+        const info = this.assets[asset];
+        if (!info || info.type !== 'crypto') throw new Error(`Unsupported crypto: ${asset}`);
+        return info.symbol;
+    }
+
+    getBinanceSymbol(asset) {
+        return `${this.getCryptoSymbol(asset)}USDT`;
+    }
+
     async fetchCryptoPrice(asset = 'btc') {
-        const symbols = {
-            btc: 'BTCUSDT', eth: 'ETHUSDT', bnb: 'BNBUSDT', ada: 'ADAUSDT',
-            sol: 'SOLUSDT', xrp: 'XRPUSDT', dot: 'DOTUSDT', doge: 'DOGEUSDT',
-            avax: 'AVAXUSDT', matic: 'MATICUSDT'
-        };
-        const symbol = symbols[asset];
-        if (!symbol) throw new Error(`Unsupported crypto: ${asset}`);
+        const symbol = this.getBinanceSymbol(asset);
 
-        const data = await this.requestWithRetry(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`);
+        const { data, cachedAt } = await this.requestWithMeta(`https://api.binance.com/api/v3/ticker/price?symbol=${symbol}`);
         const price = parseFloat(data.price);
         if (price > 0) {
             window.logger && window.logger.debug(`${asset.toUpperCase()}: $${price}`);
-            return price;
+            return { price, cachedAt };
         }
         throw new Error(`Failed to fetch ${asset} price`);
     }
 
+    async fetchCryptoPrices(assets) {
+        const symbolToAsset = {};
+        assets.forEach(asset => {
+            symbolToAsset[this.getBinanceSymbol(asset)] = asset;
+        });
+        const symbols = encodeURIComponent(JSON.stringify(Object.keys(symbolToAsset)));
+        const { data, cachedAt } = await this.requestWithMeta(`https://api.binance.com/api/v3/ticker/price?symbols=${symbols}`);
+        if (!Array.isArray(data)) throw new Error('Unexpected Binance batch response');
+
+        const prices = {};
+        data.forEach(ticker => {
+            const asset = symbolToAsset[ticker.symbol];
+            const price = parseFloat(ticker.price);
+            if (asset && price > 0) prices[asset] = { price, cachedAt };
+        });
+        window.logger && window.logger.debug(`Binance batch: ${Object.keys(prices).length}/${assets.length} prices`);
+        return prices;
+    }
+
+    async fetchCoinbasePrice(asset) {
+        const symbol = this.getCryptoSymbol(asset);
+        const { data, cachedAt } = await this.requestWithMeta(`https://api.coinbase.com/v2/prices/${symbol}-USD/spot`);
+        const price = parseFloat(data.data?.amount);
+        if (price > 0) {
+            window.logger && window.logger.debug(`${asset.toUpperCase()} (Coinbase): $${price}`);
+            return { price, cachedAt };
+        }
+        throw new Error(`Failed to fetch ${asset} price from Coinbase`);
+    }
+
+    async fetchKrakenPrice(asset) {
+        // Kraken uses legacy ISO-style codes for a few assets
+        const krakenCodes = { BTC: 'XBT', DOGE: 'XDG' };
+        const symbol = this.getCryptoSymbol(asset);
+        const pair = `${krakenCodes[symbol] || symbol}USD`;
+        const { data, cachedAt } = await this.requestWithMeta(`https://api.kraken.com/0/public/Ticker?pair=${pair}`);
+        if (data.error && data.error.length > 0) {
+            throw new Error(`Kraken: ${data.error.join(', ')}`);
+        }
+        const ticker = data.result && Object.values(data.result)[0];
+        const price = parseFloat(ticker?.c?.[0]);
+        if (price > 0) {
+            window.logger && window.logger.debug(`${asset.toUpperCase()} (Kraken): $${price}`);
+            return { price, cachedAt };
+        }
+        throw new Error(`Failed to fetch ${asset} price from Kraken`);
+    }
+
+    getMetalCode(asset) {
+        const info = this.assets[asset];
+        if (!info || info.type !== 'metal') throw new Error(`Unsupported metal: ${asset}`);
+        return info.symbol;
+    }
+
+    getMetalRatesUrl(apiKey, currencyCodes) {
+        const keyParam = apiKey ? `api_key=${encodeURIComponent(apiKey)}&` : '';
+        const apiUrl = `https://api.metalpriceapi.com/v1/latest?${keyParam}base=USD&currencies=${currencyCodes.join(',')}`;
+        if (this.proxyBaseUrl) {
+            return `${this.proxyBaseUrl}/proxy?url=${encodeURIComponent(apiUrl)}`;
+        }
+        return `https://api.allorigins.win/raw?url=${encodeURIComponent(apiUrl)}`;
+    }
+
+    async requestMetalRates(currencyCodes) {
+        // Behind our own proxy the key is injected server-side, unless the user saved a personal one
+        const apiKey = this.proxyBaseUrl && !this.hasUserApiKey('metalpriceapi') ? null : this.getApiKey('metalpriceapi');
+        const { data, cachedAt } = await this.requestWithMeta(this.getMetalRatesUrl(apiKey, currencyCodes));
+        if (data.success === false) {
+            throw new Error(`MetalpriceAPI: ${data.error?.message || 'request rejected'}`);
+        }
+        return { rates: data.rates || {}, cachedAt };
+    }
+
     async fetchMetalPrice(asset) {
-        const codeMap = { gold: 'XAU', silver: 'XAG', platinum: 'XPT', palladium: 'XPD' };
-        const currencyCode = codeMap[asset];
-        if (!currencyCode) throw new Error(`Unsupported metal: ${asset}`);
-
-        const apiUrl = `https://api.metalpriceapi.com/v1/latest?api_key=${this.apiKeys.metalprice}&base=USD&currencies=${currencyCode}`;
-        const proxyUrl = `https://api.allorigins.win/raw?url=${encodeURIComponent(apiUrl)}`;
-        const data = await this.requestWithRetry(proxyUrl);
-        const rate = data.rates?.[currencyCode];
+        const currencyCode = this.getMetalCode(asset);
+        const { rates, cachedAt } = await this.requestMetalRates([currencyCode]);
+        const rate = rates[currencyCode];
         // MetalPriceAPI returns units-of-metal per 1 USD, so invert to get USD per unit
         if (rate && rate > 0) {
             const price = 1 / rate;
             window.logger && window.logger.debug(`${asset}: $${price}`);
-            return price;
+            return { price, cachedAt };
         }
         throw new Error(`Failed to fetch ${asset} price`);
     }
 
+    async fetchMetalPrices(assets) {
+        const codeToAsset = {};
+        assets.forEach(asset => {
+            codeToAsset[this.getMetalCode(asset)] = asset;
+        });
+        const { rates, cachedAt } = await this.requestMetalRates(Object.keys(codeToAsset));
+
+        const prices = {};
+        Object.entries(codeToAsset).forEach(([code, asset]) => {
+            const rate = rates[code];
+            if (rate && rate > 0) prices[asset] = { price: 1 / rate, cachedAt };
+        });
+        window.logger && window.logger.debug(`Metal batch: ${Object.keys(prices).length}/${assets.length} prices`);
+        return prices;
+    }
+
     async fetchForexPrice(asset) {
-        const pairs = {
-            usd_eur: 'EUR', usd_gbp: 'GBP', usd_jpy: 'JPY', usd_cad: 'CAD',
-            usd_aud: 'AUD', usd_chf: 'CHF', usd_cny: 'CNY', usd_inr: 'INR',
-            usd_aed: 'AED', usd_bhd: 'BHD', usd_krw: 'KRW', usd_brl: 'BRL',
-            usd_mxn: 'MXN', usd_rub: 'RUB', usd_try: 'TRY', usd_zar: 'ZAR',
-            usd_nok: 'NOK', usd_sek: 'SEK'
-        };
-        const currency = pairs[asset];
-        if (!currency) throw new Error(`Unsupported forex: ${asset}`);
+        const info = this.assets[asset];
+        if (!info || info.type !== 'currency') throw new Error(`Unsupported forex: ${asset}`);
+        const base = info.base || 'USD';
 
         // Reuse cached rates from fetchForexRates(); fetch fresh only if cache is empty
-        if (!this.forexRates[currency]) {
+        if (!this.forexRates[info.symbol] || !this.forexRates[base]) {
             await this.fetchForexRates();
         }
-        const rate = this.forexRates[currency];
+        const rate = this.getPairRate(info, this.forexRates);
         if (rate && rate > 0) {
             window.logger && window.logger.debug(`${asset}: ${rate}`);
-            return rate;
+            return { price: rate, cachedAt: this.forexRatesCachedAt };
         }
         throw new Error(`Failed to fetch ${asset} rate`);
     }
 
-    getBigMacPrice(asset) {
-        const prices = {
-            bigmac_us: 5.69, bigmac_uk: 4.89, bigmac_jp: 450,
-            bigmac_eu: 5.15, bigmac_ca: 6.77
-        };
-        const price = prices[asset];
-        if (price === undefined) throw new Error(`Missing BigMac price for ${asset}`);
-        return price;
+    // Cross rate from a USD-based table: units of quote per one unit of base
+    getCrossRate(base, quote, rates) {
+        const baseRate = base === 'USD' ? 1 : rates[base];
+        const quoteRate = quote === 'USD' ? 1 : rates[quote];
+        if (!(baseRate > 0) || !(quoteRate > 0)) return null;
+        return quoteRate / baseRate;
     }
 
-    async fetchPrice(asset) {
-        const assetInfo = this.assets[asset];
-        if (!assetInfo) return 0;
+    getPairRate(info, rates) {
+        const rate = this.getCrossRate(info.base || 'USD', info.symbol, rates);
+        if (!rate) return null;
+        return info.inverse ? 1 / rate : rate;
+    }
 
-        try {
-            switch (assetInfo.type) {
-                case 'crypto':
-                    return await this.fetchCryptoPrice(asset);
-                case 'metal':
-                    return await this.fetchMetalPrice(asset);
-                case 'currency':
-                    return await this.fetchForexPrice(asset);
-                case 'bigmac':
-                    return this.getBigMacPrice(asset);
-                default:
-                    return 0;
-            }
-        } catch (error) {
-            window.logger && window.logger.warn(`${asset} fetch failed:`, error);
-            return this.lastPrices[asset] || 0;
-        }
+    getFallbackPrice(asset) {
+        const price = this.fallbackPrices[asset];
+        if (!(price > 0)) return price;
+        return this.isInverted(asset) ? 1 / price : price;
     }
 
-    async fetchNews() {
-        try {
-            const data = await this.requestWithRetry('https://api.rss2json.com/v1/api.json?rss_url=https://www.coindesk.com/arc/outboundfeeds/rss/');
-            if (data.items && data.items.length > 0) {
-                return data.items.slice(0, 10).map(item => ({
-                    title: item.title,
-                    source: { name: 'CoinDesk' },
-                    publishedAt: item.pubDate,
-                    url: item.link
-                }));
-            }
-        } catch (error) {
-            window.logger && window.logger.warn('News feed failed:', error);
-        }
-        
-        // Fallback news
-        return [
-            { title: "Bitcoin reaches new monthly high", source: { name: "CoinDesk" }, publishedAt: new Date().toISOString(), url: "https://www.coindesk.com/price/bitcoin/" },
-            { title: "Gold prices surge amid uncertainty", source: { name: "Reuters" }, publishedAt: new Date(Date.now() - 3600000).toISOString(), url: "https://www.reuters.com/markets/commodities/" },
-            { title: "USD strengthens against major currencies", source: { name: "Bloomberg" }, publishedAt: new Date(Date.now() - 7200000).toISOString(), url: "https://www.bloomberg.com/markets/currencies" },
-            { title: "Ethereum network upgrade completed", source: { name: "CoinTelegraph" }, publishedAt: new Date(Date.now() - 10800000).toISOString(), url: "https://cointelegraph.com/tags/ethereum" },
-            { title: "Cryptocurrency market shows resilience", source: { name: "CoinDesk" }, publishedAt: new Date(Date.now() - 14400000).toISOString(), url: "https://www.coindesk.com/markets/" }
-        ];
+    isInverted(asset) {
+        return this.invertedPairs.includes(asset);
     }
 
-    saveLastPrices() {
+    applyPairInversion(asset) {
+        const info = this.assets[asset];
+        if (!info || info.type !== 'currency') return;
+        if (!info.originalName) info.originalName = info.name;
+        info.inverse = this.isInverted(asset);
+        info.name = info.inverse ? `${info.symbol} to ${info.base || 'USD'}` : info.originalName;
+    }
+
+    toggleInverse(asset) {
+        const info = this.assets[asset];
+        if (!info || info.type !== 'currency') return false;
+        if (this.isInverted(asset)) {
+            this.invertedPairs = this.invertedPairs.filter(a => a !== asset);
+        } else {
+            this.invertedPairs.push(asset);
+        }
+        this.applyPairInversion(asset);
+        if (this.lastPrices[asset] > 0) {
+            this.lastPrices[asset] = 1 / this.lastPrices[asset];
+            this.saveLastPrices();
+        }
         try {
-            localStorage.setItem('lastAssetPrices', JSON.stringify(this.lastPrices));
+            localStorage.setItem('invertedPairs', JSON.stringify(this.invertedPairs));
         } catch (error) {
-            window.logger && window.logger.warn('Failed to save prices to localStorage:', error);
+            window.logger && window.logger.warn('Failed to save inverted pairs:', error);
         }
+        return info.inverse;
     }
 
-    saveUserSelection(selectedAssets) {
-        this.userSelectedAssets = selectedAssets;
-        try {
-            localStorage.setItem('userSelectedAssets', JSON.stringify(selectedAssets));
+    getBigMacCountry(asset) {
+        const info = this.assets[asset];
+        if (!info || info.type !== 'bigmac') return null;
+        return this.bigMac.countryCodes[info.symbol] || info.symbol;
+    }
+
+    getBigMacPrice(asset) {
+        const row = this.bigMac.getLatestRow(this.getBigMacCountry(asset));
+        if (!row) throw new Error(`Missing BigMac price for ${asset}`);
+        return row.local_price;
+    }
+
+    getBigMacCurrency(asset) {
+        return this.bigMac.getLatestRow(this.getBigMacCountry(asset))?.currency_code || null;
+    }
+
+    async fetchPrice(asset) {
+        if (!this.assets[asset]) return 0;
+        const quotes = await this.fetchQuotes([asset]);
+        return quotes[asset].price;
+    }
+
+    async fetchPrices(assets) {
+        const quotes = await this.fetchQuotes(assets);
+        const prices = {};
+        Object.keys(quotes).forEach(asset => {
+            prices[asset] = quotes[asset].price;
+        });
+        return prices;
+    }
+
+    // Every quote carries provenance: { price, source, fetchedAt, status: live | cached | fallback }
+    async fetchQuotes(assets) {
+        const byType = {};
+        assets.forEach(asset => {
+            const info = this.assets[asset];
+            if (!info) return;
+            if (!byType[info.type]) byType[info.type] = [];
+            byType[info.type].push(asset);
+        });
+
+        const quotes = {};
+        await Promise.all(Object.keys(byType).map(async type => {
+            let pending = byType[type];
+            if (this.consensus.enabled && this.getProviderChain(type).length > 1) {
+                Object.assign(quotes, await this.fetchConsensusQuotes(type, pending));
+                pending = pending.filter(asset => !(asset in quotes));
+            }
+            // Walk the fallback chain for this asset type; each provider only sees what is still missing
+            for (const provider of this.getProviderChain(type)) {
+                const supported = pending.filter(asset => this.providerSupports(provider, asset));
+                if (supported.length === 0) continue;
+
+                const results = await this.fetchProviderPrices(provider, supported);
+                const fetchedAt = Date.now();
+                Object.entries(results).forEach(([asset, { price, cachedAt }]) => {
+                    quotes[asset] = cachedAt
+                        ? { price, source: provider.name, fetchedAt: cachedAt, status: 'cached' }
+                        : { price, source: provider.name, fetchedAt, status: 'live' };
+                });
+                pending = pending.filter(asset => !(asset in results));
+                if (pending.length === 0) break;
+            }
+            pending.forEach(asset => {
+                quotes[asset] = this.getStoredQuote(asset);
+            });
+        }));
+        return quotes;
+    }
+
+    setConsensus(options) {
+        this.consensus = { ...this.consensus, ...options };
+    }
+
+    // Queries every provider in the chain in parallel and settles each asset on the median of the
+    // quotes within tolerance. Assets no provider answered are left out for the caller to fill.
+    async fetchConsensusQuotes(type, assets) {
+        const chain = this.getProviderChain(type);
+        const answers = await Promise.all(chain.map(async provider => {
+            const supported = assets.filter(asset => this.providerSupports(provider, asset));
+            const results = supported.length > 0 ? await this.fetchProviderPrices(provider, supported) : {};
+            return { provider: provider.name, results };
+        }));
+
+        const fetchedAt = Date.now();
+        const quotes = {};
+        assets.forEach(asset => {
+            const samples = answers
+                .filter(a => a.results[asset])
+                .map(a => ({ source: a.provider, ...a.results[asset] }));
+            if (samples.length === 0) return;
+
+            const { accepted, rejected } = this.resolveConsensus(asset, samples);
+            // An even number of sources can put the median between two clusters, leaving nothing within tolerance
+            if (accepted.length === 0) {
+                window.logger && window.logger.warn(
+                    `No source for ${asset} is within ${(this.consensus.tolerance * 100).toFixed(1)}% of the median: ` +
+                    samples.map(s => `${s.source}=${s.price}`).join(', ') + '; keeping the last good price'
+                );
+                quotes[asset] = this.getStoredQuote(asset);
+                return;
+            }
+            if (rejected.length > 0) {
+                window.logger && window.logger.warn(
+                    `Sources disagree on ${asset} beyond ${(this.consensus.tolerance * 100).toFixed(1)}%: ` +
+                    samples.map(s => `${s.source}=${s.price}`).join(', ') +
+                    `; rejected ${rejected.map(s => s.source).join(', ')}`
+                );
+            }
+            // Only live when at least one accepted source answered fresh rather than from the response cache
+            const cached = accepted.every(s => s.cachedAt);
+            quotes[asset] = {
+                price: Analytics.median(accepted.map(s => s.price)),
+                source: accepted.map(s => s.source).join('+'),
+                fetchedAt: cached ? Math.min(...accepted.map(s => s.cachedAt)) : fetchedAt,
+                status: cached ? 'cached' : 'live',
+                sources: Object.fromEntries(samples.map(s => [s.source, s.price])),
+                rejected: rejected.map(s => s.source)
+            };
+        });
+        return quotes;
+    }
+
+    // With three or more samples the median is trustworthy, so anything too far from it is an outlier.
+    // Two disagreeing samples cannot outvote each other; keep the one nearer the last good price,
+    // or the higher-priority source if there is none.
+    resolveConsensus(asset, samples) {
+        const tolerance = this.consensus.tolerance;
+        const deviates = (price, reference) => Math.abs(price - reference) / reference > tolerance;
+
+        if (samples.length >= 3) {
+            const median = Analytics.median(samples.map(s => s.price));
+            return {
+                accepted: samples.filter(s => !deviates(s.price, median)),
+                rejected: samples.filter(s => deviates(s.price, median))
+            };
+        }
+        if (samples.length === 2 && deviates(samples[1].price, samples[0].price)) {
+            const last = this.lastPrices[asset];
+            const keep = last > 0
+                ? samples.reduce((a, b) => (Math.abs(a.price - last) <= Math.abs(b.price - last) ? a : b))
+                : samples[0];
+            return { accepted: [keep], rejected: samples.filter(s => s !== keep) };
+        }
+        return { accepted: samples, rejected: [] };
+    }
+
+    // Last good quote if we have one, otherwise the built-in placeholder
+    getStoredQuote(asset) {
+        const meta = this.lastQuoteMeta[asset] || {};
+        if (this.lastPrices[asset] > 0) {
+            return { price: this.lastPrices[asset], source: meta.source || 'unknown', fetchedAt: meta.fetchedAt || null, status: 'cached' };
+        }
+        return { price: this.getFallbackPrice(asset) || 0, source: 'built-in', fetchedAt: null, status: 'fallback' };
+    }
+
+    recordQuote(asset, quote) {
+        if (quote.status !== 'live') return;
+        this.lastPrices[asset] = quote.price;
+        this.lastQuoteMeta[asset] = { source: quote.source, fetchedAt: quote.fetchedAt };
+    }
+
+    // A provider's answer for one asset as { price, cachedAt }, or null if it is not a usable price
+    toProviderPrice(value) {
+        const { price, cachedAt = null } = typeof value === 'object' && value !== null ? value : { price: value };
+        return price > 0 ? { price, cachedAt } : null;
+    }
+
+    // Resolves to { asset: { price, cachedAt } } for the assets the provider priced, where cachedAt is
+    // when the response cache stored the answer, or null if it was fetched just now
+    async fetchProviderPrices(provider, assets) {
+        const results = {};
+        if (provider.fetchBatch && assets.length > 1) {
+            try {
+                const batch = await provider.fetchBatch(assets);
+                assets.forEach(asset => {
+                    const price = this.toProviderPrice(batch[asset]);
+                    if (price) results[asset] = price;
+                });
+                return results;
+            } catch (error) {
+                window.logger && window.logger.warn(`Batch fetch via ${provider.name} failed:`, error);
+                // A rejected batch usually means one unknown or delisted symbol (Binance fails the whole
+                // list); fetching one by one keeps the rest. Outages would fail per asset too.
+                if (!provider.fetch || !this.isClientError(error)) return results;
+            }
+        }
+
+        await Promise.all(assets.map(async asset => {
+            try {
+                const price = this.toProviderPrice(await provider.fetch(asset, this.assets[asset]));
+                if (price) results[asset] = price;
+            } catch (error) {
+                window.logger && window.logger.warn(`${asset} fetch via ${provider.name} failed:`, error);
+            }
+        }));
+        return results;
+    }
+
+    // Articles from the feeds of every watched category, merged across feeds, tagged with the
+    // watched assets they mention and sorted newest first
+    async fetchNews(options = {}) {
+        const cached = this.getCachedNews();
+        if (cached && !options.force) return cached;
+        if (this.needsNewsProxy()) return [];
+
+        const watched = this.getUserSelectedAssets();
+        const categories = new Set(watched.map(asset => this.assets[asset]?.type).filter(Boolean));
+        const feeds = this.newsFeeds.filter(feed => categories.has(feed.category));
+
+        const results = await Promise.all(feeds.map(async feed => {
+            try {
+                return await this.requestFeed(feed);
+            } catch (error) {
+                window.logger && window.logger.warn(`News feed ${feed.name} failed:`, error);
+                return [];
+            }
+        }));
+
+        let articles = NewsFeedParser.dedupe(results.flat());
+        if (articles.length === 0) {
+            articles = this.getFallbackNews();
+        } else {
+            articles = articles
+                .sort((a, b) => new Date(b.publishedAt) - new Date(a.publishedAt))
+                .slice(0, this.maxNewsItems);
+            this.saveNewsCache(articles);
+        }
+        return articles.map(article => ({ ...article, assets: this.tagArticle(article, watched) }));
+    }
+
+    getCachedNews() {
+        try {
+            const cache = JSON.parse(localStorage.getItem('newsCache') || 'null');
+            if (cache && Date.now() - cache.time < this.newsTTL) {
+                const watched = this.getUserSelectedAssets();
+                return cache.articles.map(article => ({ ...article, assets: this.tagArticle(article, watched) }));
+            }
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to read news cache:', error);
+        }
+        return null;
+    }
+
+    saveNewsCache(articles) {
+        try {
+            localStorage.setItem('newsCache', JSON.stringify({ time: Date.now(), articles }));
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to cache news:', error);
+        }
+    }
+
+    getNewsKeywords(asset) {
+        const info = this.assets[asset];
+        if (!info) return { symbols: [], words: [] };
+        const name = info.type === 'currency'
+            ? info.name.replace(/^[A-Z]{3} to /, '')
+            : info.name.replace(/^Big Mac /, '');
+        const words = [name, ...(this.newsAliases[asset] || [])].map(w => w.toLowerCase());
+        // Short tickers like SOL or DOT are common words, so symbols only match in upper case
+        const symbols = info.type === 'bigmac' ? [] : [info.symbol];
+        return { symbols, words };
+    }
+
+    tagArticle(article, assets) {
+        const text = `${article.title} ${article.summary || ''}`;
+        const lower = text.toLowerCase();
+        const escape = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+        return assets.filter(asset => {
+            const { symbols, words } = this.getNewsKeywords(asset);
+            return symbols.some(symbol => new RegExp(`\\b${escape(symbol)}\\b`).test(text)) ||
+                words.some(word => new RegExp(`\\b${escape(word)}\\b`).test(lower));
+        });
+    }
+
+    setNewsFeeds(feeds) {
+        const valid = feeds.filter(feed => {
+            try {
+                return new URL(feed.url).protocol === 'https:' && feed.category;
+            } catch {
+                return false;
+            }
+        });
+        this.newsFeeds = valid;
+        localStorage.setItem('newsFeeds', JSON.stringify(valid));
+        localStorage.removeItem('newsCache');
+        this.syncServiceWorkerHosts();
+    }
+
+    resetNewsFeeds() {
+        this.newsFeeds = this.defaultNewsFeeds;
+        localStorage.removeItem('newsFeeds');
+        localStorage.removeItem('newsCache');
+        this.syncServiceWorkerHosts();
+    }
+
+    getFallbackNews() {
+        return [
+            { title: "Bitcoin reaches new monthly high", category: 'crypto', source: { name: "CoinDesk" }, publishedAt: new Date().toISOString(), url: "https://www.coindesk.com/price/bitcoin/" },
+            { title: "Gold prices surge amid uncertainty", category: 'metal', source: { name: "Reuters" }, publishedAt: new Date(Date.now() - 3600000).toISOString(), url: "https://www.reuters.com/markets/commodities/" },
+            { title: "USD strengthens against major currencies", category: 'currency', source: { name: "Bloomberg" }, publishedAt: new Date(Date.now() - 7200000).toISOString(), url: "https://www.bloomberg.com/markets/currencies" },
+            { title: "Ethereum network upgrade completed", category: 'crypto', source: { name: "CoinTelegraph" }, publishedAt: new Date(Date.now() - 10800000).toISOString(), url: "https://cointelegraph.com/tags/ethereum" },
+            { title: "Cryptocurrency market shows resilience", category: 'crypto', source: { name: "CoinDesk" }, publishedAt: new Date(Date.now() - 14400000).toISOString(), url: "https://www.coindesk.com/markets/" }
+        ].map(article => ({ ...article, placeholder: true }));
+    }
+
+    saveLastPrices() {
+        try {
+            localStorage.setItem('lastAssetPrices', JSON.stringify(this.lastPrices));
+            localStorage.setItem('lastQuoteMeta', JSON.stringify(this.lastQuoteMeta));
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to save prices to localStorage:', error);
+        }
+    }
+
+    saveUserSelection(selectedAssets) {
+        this.userSelectedAssets = selectedAssets;
+        try {
+            localStorage.setItem('userSelectedAssets', JSON.stringify(selectedAssets));
         } catch (error) {
             window.logger && window.logger.warn('Failed to save user selection:', error);
         }
@@ -334,69 +1352,1721 @@ class UniversalAPI {
         localStorage.setItem('displayCurrency', currency);
     }
 
-    getDisplayCurrency() {
-        return this.displayCurrency;
+    getDisplayCurrency() {
+        return this.displayCurrency;
+    }
+
+    setBaseCurrency(currency) {
+        this.baseCurrency = currency;
+        localStorage.setItem('baseCurrency', currency);
+    }
+
+    getBaseCurrency() {
+        return this.baseCurrency;
+    }
+
+    async fetchForexRates() {
+        if (this.providerMode === 'synthetic') {
+            this.forexRates = { USD: 1 };
+            Object.entries(this.assets).forEach(([asset, info]) => {
+                if (info.type === 'currency' && (info.base || 'USD') === 'USD' && !this.isInverted(asset)) {
+                    this.forexRates[info.symbol] = this.synthetic.current(asset, this.getSyntheticStart(asset));
+                }
+            });
+            return;
+        }
+        // open.er-api.com: free, no key, CORS-enabled, all currencies in one call
+        try {
+            const { data, cachedAt } = await this.requestWithMeta('https://open.er-api.com/v6/latest/USD');
+            if (data.rates) {
+                this.forexRates = { ...data.rates, USD: 1 };
+                this.forexRatesCachedAt = cachedAt;
+                this.recordForexSnapshot(this.forexRates);
+            }
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to fetch forex rates for conversion:', error);
+        }
+    }
+
+    // One snapshot per UTC day; open.er-api has no free history endpoint, so this cache is the history
+    recordForexSnapshot(rates) {
+        try {
+            const history = JSON.parse(localStorage.getItem('forexRateHistory') || '{}');
+            const day = new Date().toISOString().split('T')[0];
+            history[day] = { time: Date.now(), rates };
+            this.sortedSnapshots = null;
+            const days = Object.keys(history).sort().slice(-this.maxForexSnapshots);
+            const trimmed = {};
+            days.forEach(d => { trimmed[d] = history[d]; });
+            localStorage.setItem('forexRateHistory', JSON.stringify(trimmed));
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to cache forex snapshot:', error);
+        }
+    }
+
+    getForexSnapshots() {
+        try {
+            return JSON.parse(localStorage.getItem('forexRateHistory') || '{}');
+        } catch {
+            return {};
+        }
+    }
+
+    async fetchHistory(asset, interval = '15m', limit = 100) {
+        const info = this.assets[asset];
+        if (!info) return [];
+
+        if (this.providerMode === 'synthetic') {
+            const [, count, unit] = interval.match(/^(\d+)([mhd])$/) || [null, 15, 'm'];
+            const step = count * { m: 60000, h: 3600000, d: 86400000 }[unit];
+            return this.synthetic.history(asset, info.type, this.getSyntheticStart(asset), limit, step);
+        }
+
+        if (info.type === 'crypto') {
+            const base = this.getTestOverride('backfillUrl') || 'https://api.binance.com';
+            const symbol = this.getBinanceSymbol(asset);
+            const data = await this.requestWithRetry(`${base}/api/v3/klines?symbol=${symbol}&interval=${interval}&limit=${limit}`);
+            if (!Array.isArray(data)) throw new Error(`Unexpected klines response for ${asset}`);
+            // Kline rows: [openTime, open, high, low, close, volume, closeTime, ...]; the last candle is still open
+            const now = Date.now();
+            return data
+                .map(row => ({ time: Math.min(row[6], now), price: parseFloat(row[4]) }))
+                .filter(entry => entry.price > 0)
+                .reverse();
+        }
+
+        if (info.type === 'currency') {
+            const snapshots = this.getForexSnapshots();
+            return Object.values(snapshots)
+                .map(snapshot => ({ time: snapshot.time, price: this.getPairRate(info, { ...snapshot.rates, USD: 1 }) }))
+                .filter(entry => entry.price > 0)
+                .sort((a, b) => b.time - a.time);
+        }
+
+        return [];
+    }
+
+    convertPrice(priceUSD, targetCurrency) {
+        if (!targetCurrency || targetCurrency === 'USD') return priceUSD;
+        const rate = this.forexRates[targetCurrency];
+        if (!rate) return priceUSD;
+        return priceUSD * rate;
+    }
+
+    // Crypto and metals are quoted in USD; forex pairs and Big Mac prices carry their own units
+    isUsdPriced(asset) {
+        const type = this.assets[asset]?.type;
+        return type === 'crypto' || type === 'metal';
+    }
+
+    // Units of currency per USD at the given time, from the nearest daily snapshot not after it
+    getRateAt(currency, time = Date.now()) {
+        if (!currency || currency === 'USD') return 1;
+        if (!this.sortedSnapshots) {
+            this.sortedSnapshots = Object.values(this.getForexSnapshots()).sort((a, b) => a.time - b.time);
+        }
+        let match = null;
+        for (const snapshot of this.sortedSnapshots) {
+            if (snapshot.time > time) break;
+            if (snapshot.rates?.[currency] > 0) match = snapshot;
+        }
+        if (!match) {
+            match = this.sortedSnapshots.find(snapshot => snapshot.rates?.[currency] > 0);
+        }
+        return match?.rates[currency] || this.forexRates[currency] || null;
+    }
+
+    convertAt(priceUSD, asset, currency, time = Date.now()) {
+        if (!this.isUsdPriced(asset) || !currency || currency === 'USD') return priceUSD;
+        const rate = this.getRateAt(currency, time);
+        return rate ? priceUSD * rate : priceUSD;
+    }
+
+    toBaseCurrency(priceUSD, asset, time = Date.now()) {
+        return this.convertAt(priceUSD, asset, this.baseCurrency, time);
+    }
+
+    getAssetInfo(asset) {
+        return this.assets[asset];
+    }
+
+    getAssetsByType(type) {
+        return Object.keys(this.assets).filter(asset => this.assets[asset].type === type);
+    }
+
+    getCustomAssetKey(type, symbol, base = 'USD') {
+        const code = symbol.toLowerCase();
+        return type === 'currency' ? `${base.toLowerCase()}_${code}` : code;
+    }
+
+    isCustomAsset(asset) {
+        return Object.prototype.hasOwnProperty.call(this.customAssets, asset);
+    }
+
+    // Checks the symbol against the upstream listing before it can be tracked
+    async validateCustomAsset(type, symbol, name = '') {
+        if (type === 'pair') {
+            return this.validateCurrencyPair(symbol, name);
+        }
+        const code = String(symbol || '').trim().toUpperCase();
+        if (!/^[A-Z0-9]{2,10}$/.test(code)) {
+            throw new Error('Symbol must be 2-10 letters or digits');
+        }
+        const key = this.getCustomAssetKey(type, code);
+        if (this.assets[key]) {
+            throw new Error(`${code} is already available`);
+        }
+
+        switch (type) {
+            case 'crypto': {
+                let data;
+                try {
+                    data = await this.fetchWithTimeout(`https://api.binance.com/api/v3/exchangeInfo?symbol=${code}USDT`);
+                } catch (error) {
+                    throw new Error(`${code}USDT is not listed on Binance`);
+                }
+                const listing = data.symbols?.[0];
+                if (!listing || listing.status !== 'TRADING') {
+                    throw new Error(`${code}USDT is not currently trading on Binance`);
+                }
+                break;
+            }
+            case 'currency':
+                if (!this.forexRates[code]) {
+                    await this.fetchForexRates();
+                }
+                if (!this.forexRates[code]) {
+                    throw new Error(`${code} is not a supported ISO currency`);
+                }
+                break;
+            case 'metal': {
+                const rates = await this.requestMetalRates([code]).catch(() => ({}));
+                if (!(rates[code] > 0)) {
+                    throw new Error(`${code} is not a supported metal code`);
+                }
+                break;
+            }
+            default:
+                throw new Error(`Custom ${type} assets are not supported`);
+        }
+
+        const defaultName = type === 'currency' ? `USD to ${code}` : code;
+        return {
+            key,
+            info: { symbol: code, name: String(name || '').trim() || defaultName, type, custom: true }
+        };
+    }
+
+    // Accepts "EUR/GBP", "EUR GBP" or "EURGBP"; both legs must exist in the open.er-api table
+    async validateCurrencyPair(pair, name = '') {
+        const match = String(pair || '').trim().toUpperCase().match(/^([A-Z]{3})[\s/_-]?([A-Z]{3})$/);
+        if (!match) {
+            throw new Error('Enter a pair as two ISO codes, e.g. EUR/GBP');
+        }
+        const [, base, quote] = match;
+        if (base === quote) {
+            throw new Error('A pair needs two different currencies');
+        }
+        if (!this.forexRates[base] || !this.forexRates[quote]) {
+            await this.fetchForexRates();
+        }
+        [base, quote].forEach(code => {
+            if (!this.forexRates[code]) throw new Error(`${code} is not a supported ISO currency`);
+        });
+
+        const key = this.getCustomAssetKey('currency', quote, base);
+        if (this.assets[key]) {
+            throw new Error(`${base}/${quote} is already available`);
+        }
+        return {
+            key,
+            info: { symbol: quote, base, name: String(name || '').trim() || `${base} to ${quote}`, type: 'currency', custom: true }
+        };
+    }
+
+    addCustomAsset(key, info) {
+        this.customAssets[key] = info;
+        this.assets[key] = { ...info };
+        this.saveCustomAssets();
+    }
+
+    removeCustomAsset(key) {
+        if (!this.isCustomAsset(key)) return;
+        delete this.customAssets[key];
+        delete this.assets[key];
+        delete this.lastPrices[key];
+        this.saveCustomAssets();
+        this.saveUserSelection(this.userSelectedAssets.filter(asset => asset !== key));
+    }
+
+    saveCustomAssets() {
+        try {
+            localStorage.setItem('customAssets', JSON.stringify(this.customAssets));
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to save custom assets:', error);
+        }
+    }
+
+    // Lets a local test harness stand in for an upstream, e.g. ?streamUrl=ws://localhost:8080
+    getTestOverride(name) {
+        let value = null;
+        try {
+            value = new URLSearchParams(window.location.search).get(name) || localStorage.getItem(name);
+        } catch {
+            return null;
+        }
+        if (!value) return null;
+        try {
+            const { hostname } = new URL(value);
+            if (hostname === 'localhost' || hostname === '127.0.0.1') {
+                if (!this.allowedHosts.includes(hostname)) this.allowedHosts.push(hostname);
+                return value;
+            }
+        } catch {
+            // fall through to the warning below
+        }
+        window.logger && window.logger.warn(`Ignoring non-local override for ${name}: ${value}`);
+        return null;
+    }
+}
+
+// ===== PRICE STREAM CLASS =====
+class PriceStream {
+    constructor(api, url = null) {
+        this.api = api;
+        this.url = url || 'wss://stream.binance.com:9443/stream';
+        this.socket = null;
+        this.symbolToAsset = {};
+        this.state = 'CLOSED';
+        this.reconnectAttempts = 0;
+        this.maxReconnectAttempts = 6;
+        this.baseDelay = 1000;
+        this.maxDelay = 30000;
+        this.reconnectTimer = null;
+        this.onTick = null;
+        this.onStateChange = null;
+    }
+
+    isSupported() {
+        return typeof WebSocket !== 'undefined';
+    }
+
+    isOpen() {
+        return this.state === 'OPEN';
+    }
+
+    covers(asset) {
+        return this.isOpen() && Object.values(this.symbolToAsset).includes(asset);
+    }
+
+    start(assets) {
+        this.stop();
+        this.symbolToAsset = {};
+        assets.forEach(asset => {
+            try {
+                this.symbolToAsset[this.api.getBinanceSymbol(asset)] = asset;
+            } catch {
+                // not a crypto asset — nothing to stream
+            }
+        });
+        if (Object.keys(this.symbolToAsset).length === 0) return;
+        if (!this.isSupported()) {
+            this.setState('FAILED');
+            return;
+        }
+        this.reconnectAttempts = 0;
+        this.connect();
+    }
+
+    stop() {
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this.setState('CLOSED');
+    }
+
+    buildUrl() {
+        const streams = Object.keys(this.symbolToAsset).map(symbol => `${symbol.toLowerCase()}@miniTicker`);
+        return `${this.url}?streams=${streams.join('/')}`;
+    }
+
+    connect() {
+        this.setState('CONNECTING');
+        try {
+            this.socket = new WebSocket(this.buildUrl());
+        } catch (error) {
+            window.logger && window.logger.warn('Price stream could not connect:', error);
+            this.scheduleReconnect();
+            return;
+        }
+
+        this.socket.onopen = () => {
+            this.reconnectAttempts = 0;
+            this.setState('OPEN');
+        };
+        this.socket.onmessage = (event) => this.handleMessage(event);
+        this.socket.onerror = () => {
+            window.logger && window.logger.debug('Price stream error');
+        };
+        this.socket.onclose = () => {
+            this.socket = null;
+            this.scheduleReconnect();
+        };
+    }
+
+    handleMessage(event) {
+        try {
+            const message = JSON.parse(event.data);
+            // Combined streams wrap each payload as { stream, data }
+            const data = message.data || message;
+            const asset = this.symbolToAsset[data.s];
+            const price = parseFloat(data.c);
+            if (asset && price > 0 && this.onTick) {
+                this.onTick(asset, price, data.E || Date.now());
+            }
+        } catch (error) {
+            window.logger && window.logger.warn('Ignoring malformed stream message:', error);
+        }
+    }
+
+    scheduleReconnect() {
+        if (this.reconnectAttempts >= this.maxReconnectAttempts) {
+            window.logger && window.logger.warn('Price stream unavailable, falling back to polling');
+            this.setState('FAILED');
+            return;
+        }
+        const jitter = Math.random() * 500;
+        const delay = Math.min(this.maxDelay, this.baseDelay * Math.pow(2, this.reconnectAttempts)) + jitter;
+        this.reconnectAttempts++;
+        this.setState('RECONNECTING');
+        this.reconnectTimer = setTimeout(() => this.connect(), delay);
+    }
+
+    setState(state) {
+        if (this.state === state) return;
+        this.state = state;
+        if (this.onStateChange) this.onStateChange(state);
+    }
+}
+
+// ===== CIRCUIT BREAKER CLASS =====
+class CircuitBreaker {
+    constructor(host, threshold = 5, timeout = 30000) {
+        this.host = host;
+        this.threshold = threshold;
+        this.timeout = timeout;
+        this.failures = 0;
+        this.lastFailure = null;
+        this.state = 'CLOSED';
+    }
+
+    getState() {
+        if (this.state === 'OPEN' && Date.now() - this.lastFailure >= this.timeout) {
+            return 'HALF_OPEN';
+        }
+        return this.state;
+    }
+
+    allowRequest() {
+        this.state = this.getState();
+        return this.state !== 'OPEN';
+    }
+
+    recordSuccess() {
+        this.failures = 0;
+        this.state = 'CLOSED';
+    }
+
+    recordFailure() {
+        this.failures++;
+        this.lastFailure = Date.now();
+        // A failed probe while half-open re-opens immediately
+        if (this.state === 'HALF_OPEN' || this.failures >= this.threshold) {
+            if (this.state !== 'OPEN') {
+                window.logger && window.logger.warn(`Circuit breaker opened for ${this.host} after ${this.failures} failures`);
+            }
+            this.state = 'OPEN';
+        }
+    }
+}
+
+// ===== TOKEN BUCKET CLASS =====
+class TokenBucket {
+    constructor(capacity, refillPerSecond, maxWait = 5000) {
+        this.capacity = capacity;
+        this.refillPerSecond = refillPerSecond;
+        this.maxWait = maxWait;
+        this.tokens = capacity;
+        this.lastRefill = Date.now();
+    }
+
+    refill() {
+        const now = Date.now();
+        const elapsed = (now - this.lastRefill) / 1000;
+        this.tokens = Math.min(this.capacity, this.tokens + elapsed * this.refillPerSecond);
+        this.lastRefill = now;
+    }
+
+    available() {
+        this.refill();
+        return this.tokens;
+    }
+
+    // Waits briefly for a token; rejects rather than queueing for longer than maxWait
+    async acquire(label = '') {
+        this.refill();
+        if (this.tokens >= 1) {
+            this.tokens -= 1;
+            return;
+        }
+        const wait = ((1 - this.tokens) / this.refillPerSecond) * 1000;
+        if (wait > this.maxWait) {
+            throw new Error(`Rate limit reached${label ? ` for ${label}` : ''}, retry in ${Math.ceil(wait / 1000)}s`);
+        }
+        // Reserve the token now so concurrent callers queue behind this one
+        this.tokens -= 1;
+        await new Promise(res => setTimeout(res, wait));
+    }
+}
+
+// ===== FIXTURE STORE CLASS =====
+// Recorded upstream responses for record/replay provider modes.
+// Fixture file shape: { version: 1, recordedAt, responses: [{ url, time, data }] }
+class FixtureStore {
+    constructor() {
+        this.responses = [];
+        this.maxResponses = 500;
+        this.maxStoredChars = 1000000;
+        this.persistDelay = 5000;
+        this.persistTimer = null;
+        this.flushOnHide = null;
+        this.storageKey = 'providerRecording';
+        this.clockOrigin = null;
+        this.sessionStart = Date.now();
+        this.speed = 1;
+    }
+
+    // Unwraps relays (allorigins, our proxy) to the upstream URL and strips API keys before they hit a file
+    static normalizeUrl(url) {
+        let target = url;
+        try {
+            const parsed = new URL(url);
+            const inner = parsed.searchParams.get('url');
+            if (inner) target = inner;
+        } catch {
+            // keep the raw string
+        }
+        return target.replace(/([?&]api_key=)[^&]*/gi, '$1REDACTED');
+    }
+
+    loadRecording() {
+        try {
+            this.load(JSON.parse(localStorage.getItem(this.storageKey) || 'null'));
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to load recording:', error);
+        }
+    }
+
+    record(url, data) {
+        this.responses.push({ url: FixtureStore.normalizeUrl(url), time: Date.now(), data });
+        if (this.responses.length > this.maxResponses) {
+            this.responses = this.responses.slice(-this.maxResponses);
+        }
+        this.schedulePersist();
+    }
+
+    // Responses arrive in bursts, so the recording is written once things settle (and when the page is
+    // hidden) rather than re-serialised on every response
+    schedulePersist() {
+        if (this.persistTimer) return;
+        if (!this.flushOnHide) {
+            this.flushOnHide = () => this.persistRecording();
+            window.addEventListener('pagehide', this.flushOnHide);
+        }
+        this.persistTimer = setTimeout(() => this.persistRecording(), this.persistDelay);
+    }
+
+    // Drops the oldest responses until the serialised recording fits maxStoredChars
+    persistRecording() {
+        if (!this.persistTimer) return;
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        try {
+            let json = JSON.stringify(this.getRecording());
+            while (json.length > this.maxStoredChars && this.responses.length > 1) {
+                this.responses = this.responses.slice(Math.ceil(this.responses.length / 10));
+                json = JSON.stringify(this.getRecording());
+            }
+            localStorage.setItem(this.storageKey, json);
+        } catch (error) {
+            window.logger && window.logger.warn('Failed to persist recording:', error);
+        }
+    }
+
+    getRecording() {
+        return { version: 1, recordedAt: new Date().toISOString(), responses: this.responses };
+    }
+
+    clearRecording() {
+        this.responses = [];
+        clearTimeout(this.persistTimer);
+        this.persistTimer = null;
+        localStorage.removeItem(this.storageKey);
+    }
+
+    load(fixture) {
+        if (!fixture) return;
+        if (!Array.isArray(fixture.responses)) throw new Error('Invalid fixture file');
+        this.responses = fixture.responses
+            .filter(r => r && typeof r.url === 'string' && typeof r.time === 'number')
+            .sort((a, b) => a.time - b.time);
+    }
+
+    // Replay time starts at `start` (default: first recorded response) and runs `speed` times faster than real time
+    setClock(start = null, speed = 1) {
+        this.clockOrigin = start || (this.responses[0] ? this.responses[0].time : Date.now());
+        this.speed = speed > 0 ? speed : 1;
+        this.sessionStart = Date.now();
+    }
+
+    now() {
+        return this.clockOrigin + (Date.now() - this.sessionStart) * this.speed;
+    }
+
+    // Latest response recorded at or before the replay clock; the earliest one before that
+    replay(url) {
+        const key = FixtureStore.normalizeUrl(url);
+        const matches = this.responses.filter(r => r.url === key);
+        if (matches.length === 0) {
+            throw new Error(`No fixture recorded for ${key}`);
+        }
+        const now = this.now();
+        const due = matches.filter(r => r.time <= now);
+        return (due.length > 0 ? due[due.length - 1] : matches[0]).data;
+    }
+}
+
+// ===== SYNTHETIC MARKET CLASS =====
+// Seeded geometric random walk, one independent stream per asset so results do not depend on call order
+class SyntheticMarket {
+    constructor(seed = 42) {
+        this.seed = seed;
+        this.generators = {};
+        this.prices = {};
+        this.volatility = { crypto: 0.01, metal: 0.003, currency: 0.001, bigmac: 0 };
+    }
+
+    // mulberry32
+    getGenerator(asset) {
+        if (!this.generators[asset]) {
+            let state = this.seed;
+            for (let i = 0; i < asset.length; i++) {
+                state = Math.imul(state ^ asset.charCodeAt(i), 2654435761);
+            }
+            this.generators[asset] = () => {
+                state = (state + 0x6D2B79F5) | 0;
+                let t = Math.imul(state ^ (state >>> 15), 1 | state);
+                t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+                return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+            };
+        }
+        return this.generators[asset];
+    }
+
+    gaussian(asset) {
+        const random = this.getGenerator(asset);
+        const u = 1 - random();
+        const v = random();
+        return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+    }
+
+    step(asset, type, price) {
+        const volatility = this.volatility[type] ?? 0.005;
+        return price * Math.exp(volatility * this.gaussian(asset));
+    }
+
+    current(asset, start) {
+        return this.prices[asset] ?? start;
+    }
+
+    next(asset, type, start) {
+        this.prices[asset] = this.step(asset, type, this.current(asset, start));
+        return this.prices[asset];
+    }
+
+    // Walks backwards from the current price so history joins up with the next live tick; newest first
+    history(asset, type, start, points, stepMs) {
+        const now = Date.now();
+        let price = this.current(asset, start);
+        const entries = [];
+        for (let i = 0; i < points; i++) {
+            entries.push({ time: now - i * stepMs, price });
+            price = this.step(`${asset}:history`, type, price);
+        }
+        return entries;
+    }
+}
+
+// ===== NEWS FEED PARSER CLASS =====
+class NewsFeedParser {
+    // RSS 2.0 <item> and Atom <entry> into { title, url, publishedAt, summary, category, source }
+    static parse(xml, feed) {
+        const doc = new DOMParser().parseFromString(xml, 'application/xml');
+        if (doc.querySelector('parsererror')) {
+            throw new Error(`${feed.name} is not valid RSS/Atom`);
+        }
+        const text = (node, selector) => node.querySelector(selector)?.textContent.trim() || '';
+        const channelTitle = text(doc, 'channel > title') || text(doc, 'feed > title');
+        const sourceName = feed.name || channelTitle || new URL(feed.url).hostname;
+
+        const items = Array.from(doc.querySelectorAll('item')).map(item => ({
+            title: text(item, 'title'),
+            url: text(item, 'link'),
+            publishedAt: text(item, 'pubDate') || text(item, 'date'),
+            summary: NewsFeedParser.stripHtml(text(item, 'description'))
+        }));
+        const entries = Array.from(doc.querySelectorAll('entry')).map(entry => {
+            const link = entry.querySelector('link[rel="alternate"]') || entry.querySelector('link');
+            return {
+                title: text(entry, 'title'),
+                url: link?.getAttribute('href') || '',
+                publishedAt: text(entry, 'published') || text(entry, 'updated'),
+                summary: NewsFeedParser.stripHtml(text(entry, 'summary') || text(entry, 'content'))
+            };
+        });
+
+        return NewsFeedParser.normalize(items.concat(entries), feed, sourceName);
+    }
+
+    static normalize(articles, feed, sourceName) {
+        return articles
+            .filter(article => article.title && /^https?:\/\//.test(article.url))
+            .map(article => {
+                const time = Date.parse(article.publishedAt);
+                return {
+                    ...article,
+                    publishedAt: new Date(isNaN(time) ? Date.now() : time).toISOString(),
+                    summary: article.summary.slice(0, 300),
+                    category: feed.category,
+                    source: { name: sourceName }
+                };
+            });
+    }
+
+    static stripHtml(html) {
+        if (!html) return '';
+        const doc = new DOMParser().parseFromString(html, 'text/html');
+        return (doc.body.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+
+    // Same story syndicated by several feeds: match on canonical link or normalized title
+    static dedupe(articles) {
+        const seen = new Map();
+        const merged = [];
+        articles.forEach(article => {
+            const keys = [NewsFeedParser.canonicalUrl(article.url), 'title:' + article.title.toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim()];
+            const existing = keys.map(key => seen.get(key)).find(Boolean);
+            if (existing) {
+                if (!existing.sources.includes(article.source.name)) existing.sources.push(article.source.name);
+                if (new Date(article.publishedAt) < new Date(existing.publishedAt)) existing.publishedAt = article.publishedAt;
+                return;
+            }
+            const entry = { ...article, sources: [article.source.name] };
+            keys.forEach(key => seen.set(key, entry));
+            merged.push(entry);
+        });
+        return merged;
+    }
+
+    static canonicalUrl(url) {
+        try {
+            const parsed = new URL(url);
+            return `${parsed.hostname.replace(/^www\./, '')}${parsed.pathname.replace(/\/+$/, '')}`;
+        } catch {
+            return url;
+        }
+    }
+}
+
+// ===== CSV CODEC CLASS =====
+class CsvCodec {
+    // RFC 4180: quoted fields may contain commas, newlines and doubled quotes
+    static parseRows(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+        const input = String(text || '').replace(/^\uFEFF/, '');
+
+        for (let i = 0; i < input.length; i++) {
+            const char = input[i];
+            if (inQuotes) {
+                if (char === '"' && input[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && input[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        if (field !== '' || row.length > 0) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(value => value.trim() !== ''));
+    }
+
+    static parse(text) {
+        const rows = this.parseRows(text);
+        if (rows.length === 0) return { headers: [], records: [] };
+        const headers = rows[0].map(h => h.trim());
+        const records = rows.slice(1).map(values => {
+            const record = {};
+            headers.forEach((header, i) => {
+                record[header] = (values[i] ?? '').trim();
+            });
+            return record;
+        });
+        return { headers, records };
+    }
+
+    // Text that a spreadsheet would run as a formula gets a leading apostrophe; numbers are left alone
+    static escape(value) {
+        let text = value === null || value === undefined ? '' : String(value);
+        if (/^[=+\-@\t\r]/.test(text) && !CsvCodec.isNumeric(text)) text = `'${text}`;
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    static isNumeric(text) {
+        return /^[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?$/i.test(text);
+    }
+
+    // Numbers as spreadsheets write them ("1,234.56", "1.234,56", "$ 1 234.5"); decimalMark is '.' or ','
+    // and the other one is taken as a thousands separator
+    static parseNumber(value, decimalMark = '.') {
+        const text = String(value === null || value === undefined ? '' : value).replace(/[^0-9.,eE+-]/g, '');
+        return decimalMark === ','
+            ? parseFloat(text.replace(/\./g, '').replace(',', '.'))
+            : parseFloat(text.replace(/,/g, ''));
+    }
+
+    // Decimal mark of a column, decided across all its values like timestamp formats are: "1.234,56",
+    // "12,5" or "1.234.567" point to a comma, "1,234.56", "0.25" or "1,234,567" to a point. Values such
+    // as "65,432" fit either and do not vote; a column with no evidence either way uses a point.
+    static detectDecimalMark(values) {
+        const votes = { '.': 0, ',': 0 };
+        values.forEach(value => {
+            const text = String(value === null || value === undefined ? '' : value).replace(/[^0-9.,]/g, '');
+            const comma = text.lastIndexOf(',');
+            const point = text.lastIndexOf('.');
+            if (comma !== -1 && point !== -1) {
+                votes[comma > point ? ',' : '.']++;
+            } else if (comma !== -1) {
+                if (text.split(',').length > 2) votes['.']++;
+                else if (!/,\d{3}$/.test(text)) votes[',']++;
+            } else if (point !== -1) {
+                if (text.split('.').length > 2) votes[',']++;
+                else if (!/\.\d{3}$/.test(text)) votes['.']++;
+            }
+        });
+        return votes[','] > votes['.'] ? ',' : '.';
+    }
+
+    // records are objects keyed by header; lines end in CRLF as RFC 4180 asks
+    static stringify(headers, records) {
+        const lines = [headers, ...records.map(record => headers.map(header => record[header]))]
+            .map(values => values.map(value => this.escape(value)).join(','));
+        return lines.join('\r\n') + '\r\n';
+    }
+}
+
+// ===== BIG MAC INDEX CLASS =====
+class BigMacIndex {
+    constructor() {
+        this.storageKey = 'bigMacDataset';
+        this.datasetUrl = 'static/data/big-mac-index.csv';
+        // Columns from The Economist's big-mac-source-data layout that we rely on
+        this.requiredColumns = ['name', 'iso_a3', 'currency_code', 'local_price', 'date'];
+        // Symbols used by the built-in bigmac_* assets
+        this.countryCodes = { US: 'USA', UK: 'GBR', JP: 'JPN', EU: 'EUZ', CA: 'CAN' };
+        this.rows = [];
+        this.loading = null;
+    }
+
+    load() {
+        if (!this.loading) {
+            this.loading = this.loadDataset().catch(error => {
+                this.loading = null;
+                throw error;
+            });
+        }
+        return this.loading;
+    }
+
+    async loadDataset() {
+        const imported = localStorage.getItem(this.storageKey);
+        if (imported) {
+            try {
+                this.rows = this.parse(imported);
+                return this.rows;
+            } catch (error) {
+                window.logger && window.logger.warn('Stored Big Mac dataset is invalid, using bundled data:', error);
+            }
+        }
+        const response = await fetch(this.datasetUrl);
+        if (!response.ok) throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+        this.rows = this.parse(await response.text());
+        return this.rows;
+    }
+
+    parse(text) {
+        const { headers, records } = CsvCodec.parse(text);
+        const missing = this.requiredColumns.filter(column => !headers.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`Big Mac CSV is missing columns: ${missing.join(', ')}`);
+        }
+
+        const rows = records
+            .map(record => ({
+                name: record.name,
+                iso_a3: record.iso_a3.toUpperCase(),
+                currency_code: record.currency_code.toUpperCase(),
+                local_price: parseFloat(record.local_price),
+                dollar_ex: parseFloat(record.dollar_ex) || null,
+                date: record.date
+            }))
+            .filter(row => row.iso_a3 && row.local_price > 0 && !isNaN(Date.parse(row.date)));
+        if (rows.length === 0) throw new Error('Big Mac CSV contains no usable rows');
+        return rows;
+    }
+
+    importCSV(text) {
+        const rows = this.parse(text);
+        localStorage.setItem(this.storageKey, text);
+        this.rows = rows;
+        this.loading = Promise.resolve(rows);
+        return rows.length;
+    }
+
+    resetToBundled() {
+        localStorage.removeItem(this.storageKey);
+        this.rows = [];
+        this.loading = null;
+        return this.load();
+    }
+
+    getReleases() {
+        return Array.from(new Set(this.rows.map(row => row.date))).sort();
+    }
+
+    getLatestRelease() {
+        const releases = this.getReleases();
+        return releases[releases.length - 1] || null;
+    }
+
+    getRow(iso, date) {
+        return this.rows.find(row => row.iso_a3 === iso && row.date === date) || null;
+    }
+
+    getLatestRow(iso) {
+        const rows = this.rows.filter(row => row.iso_a3 === iso).sort((a, b) => a.date.localeCompare(b.date));
+        return rows[rows.length - 1] || null;
+    }
+
+    // Implied PPP = local price / US price; valuation compares it with the market rate (units per USD)
+    valuate(row, usRow, marketRate) {
+        if (!row || !usRow || !(marketRate > 0)) return null;
+        const impliedRate = row.local_price / usRow.local_price;
+        return {
+            name: row.name,
+            iso_a3: row.iso_a3,
+            currency_code: row.currency_code,
+            date: row.date,
+            localPrice: row.local_price,
+            dollarPrice: row.local_price / marketRate,
+            impliedRate,
+            marketRate,
+            valuation: (impliedRate / marketRate - 1) * 100
+        };
+    }
+
+    // Ranked from most overvalued to most undervalued; live rates are used when available
+    getValuations(forexRates = {}, date = this.getLatestRelease()) {
+        const usRow = this.getRow('USA', date);
+        if (!usRow) return [];
+        return this.rows
+            .filter(row => row.date === date)
+            .map(row => this.valuate(row, usRow, forexRates[row.currency_code] || row.dollar_ex))
+            .filter(Boolean)
+            .sort((a, b) => b.valuation - a.valuation);
+    }
+
+    // Past releases use the exchange rate published with them; live rates only fill gaps
+    getCountryHistory(iso, forexRates = {}) {
+        return this.getReleases()
+            .map(date => {
+                const row = this.getRow(iso, date);
+                const rate = row && (row.dollar_ex || forexRates[row.currency_code]);
+                return this.valuate(row, this.getRow('USA', date), rate);
+            })
+            .filter(Boolean);
+    }
+}
+
+// ===== HISTORY STORE CLASS =====
+// Price history in IndexedDB: raw observations keyed by [asset, time] and OHLC rollups keyed by
+// [asset, resolution, time], so every range read is a key scan. Where IndexedDB is unavailable
+// (some private modes) history is kept in memory for the session.
+class HistoryStore {
+    constructor(dbName = 'priceTracker') {
+        this.dbName = dbName;
+        this.stores = {
+            observations: { keyPath: ['asset', 'time'], prefix: record => [record.asset] },
+            rollups: { keyPath: ['asset', 'resolution', 'time'], prefix: record => [record.asset, record.resolution] }
+        };
+        this.version = 2;
+        this.db = null;
+        this.memory = null;
+        this.opening = null;
+    }
+
+    open() {
+        if (this.opening) return this.opening;
+        this.opening = new Promise(resolve => {
+            if (!window.indexedDB) {
+                this.useMemory('IndexedDB is not available');
+                resolve();
+                return;
+            }
+            const request = indexedDB.open(this.dbName, this.version);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                Object.entries(this.stores).forEach(([name, { keyPath }]) => {
+                    if (!db.objectStoreNames.contains(name)) {
+                        db.createObjectStore(name, { keyPath }).createIndex('time', 'time');
+                    }
+                });
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve();
+            };
+            request.onerror = () => {
+                this.useMemory(request.error);
+                resolve();
+            };
+        });
+        return this.opening;
+    }
+
+    useMemory(reason) {
+        window.logger && window.logger.warn('History falls back to memory for this session:', reason);
+        this.memory = new Map();
+    }
+
+    // In-memory series: `${store}:${JSON.stringify(prefix)}` -> Map(time -> record)
+    getMemorySeries(storeName, prefix) {
+        const key = `${storeName}:${JSON.stringify(prefix)}`;
+        if (!this.memory.has(key)) this.memory.set(key, new Map());
+        return this.memory.get(key);
+    }
+
+    // Runs fn(store, setResult) in one transaction and resolves with the result once it commits
+    async transaction(storeName, mode, fn) {
+        await this.open();
+        return new Promise((resolve, reject) => {
+            const tx = this.db.transaction(storeName, mode);
+            let result;
+            fn(tx.objectStore(storeName), value => { result = value; });
+            tx.oncomplete = () => resolve(result);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    range(prefix, from = 0, to = Number.MAX_SAFE_INTEGER) {
+        return IDBKeyRange.bound([...prefix, from], [...prefix, to]);
+    }
+
+    // overwrite = false keeps records already stored under the same key
+    async putIn(storeName, records, overwrite = true) {
+        await this.open();
+        if (this.memory) {
+            this.putInMemory(storeName, records, overwrite);
+            return;
+        }
+        await this.transaction(storeName, 'readwrite', store => {
+            records.forEach(record => {
+                if (overwrite) {
+                    store.put(record);
+                } else {
+                    const request = store.add(record);
+                    request.onerror = (event) => {
+                        // ConstraintError: already stored; keep the transaction alive
+                        event.preventDefault();
+                        event.stopPropagation();
+                    };
+                }
+            });
+        });
+    }
+
+    // Records between from and to, newest first unless options.ascending
+    async queryIn(storeName, prefix, options = {}) {
+        const { from = 0, to = Number.MAX_SAFE_INTEGER, limit = Infinity, ascending = false } = options;
+        if (to < from) return [];
+        await this.open();
+        if (this.memory) {
+            const records = Array.from(this.getMemorySeries(storeName, prefix).values())
+                .filter(r => r.time >= from && r.time <= to)
+                .sort((a, b) => (ascending ? a.time - b.time : b.time - a.time));
+            return records.slice(0, limit);
+        }
+        return this.transaction(storeName, 'readonly', (store, setResult) => {
+            const records = [];
+            setResult(records);
+            const request = store.openCursor(this.range(prefix, from, to), ascending ? 'next' : 'prev');
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor || records.length >= limit) return;
+                records.push(cursor.value);
+                cursor.continue();
+            };
+        });
+    }
+
+    async countIn(storeName, prefix) {
+        await this.open();
+        if (this.memory) return this.getMemorySeries(storeName, prefix).size;
+        return this.transaction(storeName, 'readonly', (store, setResult) => {
+            const request = store.count(this.range(prefix));
+            request.onsuccess = () => setResult(request.result);
+        });
+    }
+
+    // Rewrites every record under the prefix in one cursor pass, so series of any length stay in place
+    async updateIn(storeName, prefix, fn) {
+        await this.open();
+        if (this.memory) {
+            const series = this.getMemorySeries(storeName, prefix);
+            series.forEach((record, time) => series.set(time, fn(record)));
+            return;
+        }
+        await this.transaction(storeName, 'readwrite', store => {
+            const request = store.openCursor(this.range(prefix));
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+                cursor.update(fn(cursor.value));
+                cursor.continue();
+            };
+        });
+    }
+
+    async deleteIn(storeName, prefix, from = 0, to = Number.MAX_SAFE_INTEGER) {
+        if (to < from) return;
+        await this.open();
+        if (this.memory) {
+            this.deleteInMemory(storeName, prefix, from, to);
+            return;
+        }
+        await this.transaction(storeName, 'readwrite', store => store.delete(this.range(prefix, from, to)));
+    }
+
+    putInMemory(storeName, records, overwrite) {
+        records.forEach(record => {
+            const series = this.getMemorySeries(storeName, this.stores[storeName].prefix(record));
+            if (overwrite || !series.has(record.time)) series.set(record.time, record);
+        });
+    }
+
+    deleteInMemory(storeName, prefix, from, to) {
+        const series = this.getMemorySeries(storeName, prefix);
+        Array.from(series.keys()).filter(time => time >= from && time <= to).forEach(time => series.delete(time));
+    }
+
+    // Overwriting puts, then range deletes, across stores in one transaction: either every change
+    // lands or none does. changes: { put: { storeName: records }, delete: [{ storeName, prefix, from, to }] }
+    async commit(changes) {
+        const puts = Object.entries(changes.put || {});
+        const deletes = (changes.delete || []).filter(({ from = 0, to = Number.MAX_SAFE_INTEGER }) => to >= from);
+        await this.open();
+        if (this.memory) {
+            puts.forEach(([storeName, records]) => this.putInMemory(storeName, records, true));
+            deletes.forEach(({ storeName, prefix, from = 0, to = Number.MAX_SAFE_INTEGER }) => {
+                this.deleteInMemory(storeName, prefix, from, to);
+            });
+            return;
+        }
+        const names = [...new Set([...puts.map(([storeName]) => storeName), ...deletes.map(change => change.storeName)])];
+        if (names.length === 0) return;
+        await new Promise((resolve, reject) => {
+            const tx = this.db.transaction(names, 'readwrite');
+            puts.forEach(([storeName, records]) => {
+                const store = tx.objectStore(storeName);
+                records.forEach(record => store.put(record));
+            });
+            deletes.forEach(({ storeName, prefix, from, to }) => {
+                tx.objectStore(storeName).delete(this.range(prefix, from, to));
+            });
+            tx.oncomplete = () => resolve();
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+    }
+
+    put(records, overwrite = true) {
+        return this.putIn('observations', records, overwrite);
+    }
+
+    query(asset, options = {}) {
+        return this.queryIn('observations', [asset], options);
+    }
+
+    count(asset) {
+        return this.countIn('observations', [asset]);
+    }
+
+    deleteRange(asset, from, to) {
+        return this.deleteIn('observations', [asset], from, to);
+    }
+
+    update(asset, fn) {
+        return this.updateIn('observations', [asset], fn);
+    }
+
+    putRollups(records, overwrite = true) {
+        return this.putIn('rollups', records, overwrite);
+    }
+
+    queryRollups(asset, resolution, options = {}) {
+        return this.queryIn('rollups', [asset, resolution], options);
+    }
+
+    deleteRollups(asset, resolution, from, to) {
+        return this.deleteIn('rollups', [asset, resolution], from, to);
+    }
+
+    updateRollups(asset, resolution, fn) {
+        return this.updateIn('rollups', [asset, resolution], fn);
+    }
+
+    async clear() {
+        await this.open();
+        if (this.memory) {
+            this.memory.clear();
+            return;
+        }
+        for (const name of Object.keys(this.stores)) {
+            await this.transaction(name, 'readwrite', store => store.clear());
+        }
+    }
+}
+
+// ===== BACKUP CIPHER CLASS =====
+// Passphrase encryption for backup files. PBKDF2 stretches the passphrase into 512 bits: the first half is
+// the AES-GCM key, the hash of the second half is stored as a verifier. A verifier mismatch means the
+// passphrase is wrong; a matching verifier with a failed GCM tag means the file was damaged.
+class BackupCipher {
+    static get format() {
+        return 'price-tracker-encrypted';
+    }
+
+    static isEncrypted(text) {
+        try {
+            return JSON.parse(text)?.format === this.format;
+        } catch {
+            return false;
+        }
+    }
+
+    static failure(reason, message) {
+        const error = new Error(message);
+        error.reason = reason;
+        return error;
+    }
+
+    // Browsers only expose Web Crypto on secure pages (https or localhost)
+    static isAvailable() {
+        return !!window.crypto?.subtle;
+    }
+
+    static requireAvailable() {
+        if (!this.isAvailable()) {
+            throw this.failure('unavailable', 'Backup encryption needs the page to be served over https (or from localhost)');
+        }
+    }
+
+    // Bounds on the stored work factor: below the floor the passphrase is too cheap to guess, above the
+    // ceiling a crafted file could hang the tab
+    static get iterationRange() {
+        return { min: 100000, max: 5000000 };
+    }
+
+    static toBase64(bytes) {
+        let binary = '';
+        const view = new Uint8Array(bytes);
+        for (let i = 0; i < view.length; i += 0x8000) {
+            binary += String.fromCharCode(...view.subarray(i, i + 0x8000));
+        }
+        return btoa(binary);
+    }
+
+    static fromBase64(text) {
+        const binary = atob(text);
+        const bytes = new Uint8Array(binary.length);
+        for (let i = 0; i < binary.length; i++) bytes[i] = binary.charCodeAt(i);
+        return bytes;
+    }
+
+    static async deriveKeys(passphrase, salt, iterations) {
+        const subtle = window.crypto.subtle;
+        const material = await subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveBits']);
+        const bits = new Uint8Array(await subtle.deriveBits({ name: 'PBKDF2', hash: 'SHA-256', salt, iterations }, material, 512));
+        const key = await subtle.importKey('raw', bits.slice(0, 32), 'AES-GCM', false, ['encrypt', 'decrypt']);
+        const verifier = this.toBase64(await subtle.digest('SHA-256', bits.slice(32)));
+        return { key, verifier };
+    }
+
+    static async encrypt(plaintext, passphrase, iterations = 310000) {
+        this.requireAvailable();
+        const salt = window.crypto.getRandomValues(new Uint8Array(16));
+        const iv = window.crypto.getRandomValues(new Uint8Array(12));
+        const { key, verifier } = await this.deriveKeys(passphrase, salt, iterations);
+        const data = await window.crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, new TextEncoder().encode(plaintext));
+        return JSON.stringify({
+            format: this.format,
+            version: 1,
+            kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations, salt: this.toBase64(salt) },
+            cipher: { name: 'AES-GCM', iv: this.toBase64(iv) },
+            verifier,
+            data: this.toBase64(data)
+        }, null, 2);
+    }
+
+    // Throws with reason 'passphrase', 'corrupted' or 'unavailable' so the caller can ask again or give up
+    static async decrypt(text, passphrase) {
+        this.requireAvailable();
+        let envelope;
+        let salt;
+        let iv;
+        let data;
+        try {
+            envelope = JSON.parse(text);
+            salt = this.fromBase64(envelope.kdf.salt);
+            iv = this.fromBase64(envelope.cipher.iv);
+            data = this.fromBase64(envelope.data);
+        } catch {
+            throw this.failure('corrupted', 'Encrypted backup is damaged and cannot be read');
+        }
+        const { min, max } = this.iterationRange;
+        const iterations = envelope.kdf.iterations;
+        if (envelope.version !== 1 || envelope.kdf.name !== 'PBKDF2' || envelope.kdf.hash !== 'SHA-256' ||
+            envelope.cipher.name !== 'AES-GCM' || !Number.isInteger(iterations) || iterations < min || iterations > max ||
+            typeof envelope.verifier !== 'string') {
+            throw this.failure('corrupted', 'Encrypted backup uses an unsupported or damaged header');
+        }
+
+        const { key, verifier } = await this.deriveKeys(passphrase, salt, envelope.kdf.iterations);
+        if (verifier !== envelope.verifier) {
+            throw this.failure('passphrase', 'Wrong passphrase');
+        }
+        try {
+            const plain = await window.crypto.subtle.decrypt({ name: 'AES-GCM', iv }, key, data);
+            return new TextDecoder().decode(plain);
+        } catch {
+            throw this.failure('corrupted', 'Passphrase is correct but the backup is damaged');
+        }
+    }
+}
+
+// ===== DATA STORAGE CLASS =====
+class DataStorage {
+    constructor() {
+        this.storageKey = 'priceTrackerData';
+        this.historyKey = 'priceHistory';
+        this.settingsKey = 'appSettings';
+        this.maxHistoryItems = 10000;
+        this.migrationKey = 'historyMigratedToIndexedDB';
+        this.history = new HistoryStore();
+        // Raw ticks roll up into 5-minute, hourly and daily OHLC buckets as they age; values are days
+        this.defaultRetention = { raw: 1, '5m': 30, '1h': 365, '1d': 5 * 365 };
+        this.resolutions = { '5m': 5 * 60 * 1000, '1h': 60 * 60 * 1000, '1d': 24 * 60 * 60 * 1000 };
+        this.compactionInterval = 60 * 60 * 1000;
+        this.lastCompaction = {};
+        this.compactions = {};
+        this.historyCsvColumns = ['timestamp', 'asset', 'price', 'currency', 'source'];
+        this.backupFormat = 'price-tracker-backup';
+        this.backupVersion = 2;
+        this.ready = this.init().catch(error => {
+            window.logger && window.logger.error('Failed to initialise history store:', error);
+        });
+        this.ready.then(() => this.compactAllHistory());
+        this.newsSentimentKey = 'newsSentimentHistory';
+        this.maxNewsSentimentAge = 30 * 24 * 60 * 60 * 1000;
+        this.maxNewsSentimentPoints = 1000;
+    }
+
+    async init() {
+        await this.history.open();
+        await this.migrateLocalHistory();
+    }
+
+    // Moves pre-IndexedDB histories (one JSON array per asset in localStorage) into the store, once.
+    // A key is only removed after its records are written, so a failed run is retried next load.
+    // Without IndexedDB the records are only loaded for the session and the keys stay where they are.
+    async migrateLocalHistory() {
+        if (localStorage.getItem(this.migrationKey)) return;
+        const persistent = !this.history.memory;
+
+        const prefix = `${this.historyKey}_`;
+        const keys = Object.keys(localStorage).filter(key => key.startsWith(prefix));
+        let failed = false;
+        for (const key of keys) {
+            const asset = key.slice(prefix.length);
+            try {
+                const entries = JSON.parse(localStorage.getItem(key) || '[]');
+                await this.history.put(this.toRecords(asset, entries), false);
+                this.updateHistoryIndex(asset);
+                if (persistent) localStorage.removeItem(key);
+            } catch (error) {
+                failed = true;
+                window.logger && window.logger.error(`Failed to migrate history for ${asset}:`, error);
+            }
+        }
+        if (!failed && persistent) {
+            localStorage.setItem(this.migrationKey, new Date().toISOString());
+            if (keys.length > 0) window.logger && window.logger.info(`Migrated ${keys.length} price histories to IndexedDB`);
+        }
+    }
+
+    toRecords(asset, entries) {
+        return (entries || [])
+            .filter(entry => entry && entry.time && !isNaN(entry.price))
+            .map(entry => ({ ...entry, asset }));
+    }
+
+    fromRecords(records) {
+        return records.map(({ asset, ...entry }) => entry);
+    }
+
+    // Replaces the asset's stored history
+    async saveHistory(history, asset = 'default') {
+        try {
+            await this.history.deleteRange(asset);
+            await this.history.put(this.toRecords(asset, history.slice(0, this.maxHistoryItems)));
+            this.updateHistoryIndex(asset);
+        } catch (error) {
+            window.logger && window.logger.error('Failed to save history:', error);
+        }
+    }
+
+    // Adds new observations; an entry at an existing timestamp replaces it
+    async appendHistory(asset, entries) {
+        try {
+            await this.history.put(this.toRecords(asset, entries));
+            this.updateHistoryIndex(asset);
+        } catch (error) {
+            window.logger && window.logger.error('Failed to append history:', error);
+        }
+        if (Date.now() - (this.lastCompaction[asset] || 0) > this.compactionInterval) {
+            this.compactHistory(asset);
+        }
+    }
+
+    getRetentionPolicy() {
+        try {
+            return { ...this.defaultRetention, ...JSON.parse(localStorage.getItem('historyRetention') || '{}') };
+        } catch {
+            return { ...this.defaultRetention };
+        }
+    }
+
+    // Each tier must keep at least as long as the finer tier that feeds it
+    setRetentionPolicy(policy) {
+        const merged = { ...this.getRetentionPolicy(), ...policy };
+        const tiers = ['raw', '5m', '1h', '1d'];
+        tiers.forEach((tier, i) => {
+            const days = parseFloat(merged[tier]);
+            if (!(days > 0)) throw new Error(`Retention for ${tier} must be a positive number of days`);
+            if (i > 0 && days < merged[tiers[i - 1]]) {
+                throw new Error(`Retention for ${tier} cannot be shorter than for ${tiers[i - 1]}`);
+            }
+            merged[tier] = days;
+        });
+        localStorage.setItem('historyRetention', JSON.stringify(merged));
+        this.lastCompaction = {};
+        return merged;
+    }
+
+    alignTime(time, resolution) {
+        const size = this.resolutions[resolution];
+        return Math.floor(time / size) * size;
+    }
+
+    // Folds raw points ({time, price}) or finer buckets into OHLC buckets at the given resolution.
+    // openTime/closeTime are kept so buckets built in separate passes can be merged in order.
+    rollup(points, resolution, buckets = new Map()) {
+        points.forEach(point => {
+            const part = point.open !== undefined
+                ? point
+                : { open: point.price, high: point.price, low: point.price, close: point.price, count: 1, openTime: point.time, closeTime: point.time };
+            const time = this.alignTime(part.openTime, resolution);
+            const bucket = buckets.get(time);
+            if (!bucket) {
+                buckets.set(time, {
+                    time, resolution,
+                    open: part.open, high: part.high, low: part.low, close: part.close,
+                    count: part.count, openTime: part.openTime, closeTime: part.closeTime
+                });
+                return;
+            }
+            if (part.openTime < bucket.openTime) {
+                bucket.open = part.open;
+                bucket.openTime = part.openTime;
+            }
+            if (part.closeTime > bucket.closeTime) {
+                bucket.close = part.close;
+                bucket.closeTime = part.closeTime;
+            }
+            bucket.high = Math.max(bucket.high, part.high);
+            bucket.low = Math.min(bucket.low, part.low);
+            bucket.count += part.count;
+        });
+        return buckets;
+    }
+
+    // Stored buckets at the resolution with the parts folded in, as records ready to put back
+    async mergeRollups(asset, resolution, parts) {
+        if (parts.length === 0) return [];
+        const from = this.alignTime(Math.min(...parts.map(p => p.openTime)), resolution);
+        const to = Math.max(...parts.map(p => p.closeTime));
+        const existing = await this.history.queryRollups(asset, resolution, { from, to });
+        const buckets = this.rollup(parts, resolution, this.rollup(existing, resolution));
+        return Array.from(buckets.values()).map(bucket => ({ ...bucket, asset }));
+    }
+
+    // Moves everything past a tier's retention into the next coarser tier, then drops expired daily buckets.
+    // Runs one pass per asset at a time so overlapping triggers cannot roll the same ticks up twice, and
+    // writes each step's merged buckets and removed source rows in one transaction, so an interrupted
+    // pass cannot leave ticks both in a candle and in the finer tier.
+    compactHistory(asset, now = Date.now()) {
+        this.lastCompaction[asset] = now;
+        if (!this.compactions[asset]) {
+            this.compactions[asset] = this.runCompaction(asset, now).finally(() => {
+                delete this.compactions[asset];
+            });
+        }
+        return this.compactions[asset];
+    }
+
+    async runCompaction(asset, now) {
+        const day = 24 * 60 * 60 * 1000;
+        const policy = this.getRetentionPolicy();
+        try {
+            const rawCutoff = this.alignTime(now - policy.raw * day, '5m');
+            const raw = await this.history.query(asset, { to: rawCutoff - 1, ascending: true });
+            if (raw.length > 0) {
+                const usable = raw.filter(entry => entry.status !== 'fallback' && entry.price > 0);
+                await this.history.commit({
+                    put: { rollups: await this.mergeRollups(asset, '5m', Array.from(this.rollup(usable, '5m').values())) },
+                    delete: [{ storeName: 'observations', prefix: [asset], from: 0, to: rawCutoff - 1 }]
+                });
+            }
+
+            for (const [fine, coarse] of [['5m', '1h'], ['1h', '1d']]) {
+                const cutoff = this.alignTime(now - policy[fine] * day, coarse);
+                const old = await this.history.queryRollups(asset, fine, { to: cutoff - 1, ascending: true });
+                if (old.length === 0) continue;
+                await this.history.commit({
+                    put: { rollups: await this.mergeRollups(asset, coarse, old) },
+                    delete: [{ storeName: 'rollups', prefix: [asset, fine], from: 0, to: cutoff - 1 }]
+                });
+            }
+
+            await this.history.deleteRollups(asset, '1d', 0, now - policy['1d'] * day);
+        } catch (error) {
+            window.logger && window.logger.error(`Failed to compact history for ${asset}:`, error);
+        }
+    }
+
+    // Re-expresses the asset's whole stored history as 1/price: every observation and every rolled-up
+    // candle, where high and low swap places. Waits for a running compaction so it sees a settled series.
+    async invertHistory(asset) {
+        const invert = (price) => (price > 0 ? 1 / price : price);
+        if (this.compactions[asset]) await this.compactions[asset];
+        try {
+            await this.history.update(asset, entry => ({ ...entry, price: invert(entry.price) }));
+            for (const resolution of Object.keys(this.resolutions)) {
+                await this.history.updateRollups(asset, resolution, bucket => this.invertBucket(bucket));
+            }
+        } catch (error) {
+            window.logger && window.logger.error(`Failed to invert history for ${asset}:`, error);
+        }
+    }
+
+    invertBucket(bucket) {
+        const invert = (price) => (price > 0 ? 1 / price : price);
+        return { ...bucket, open: invert(bucket.open), high: invert(bucket.low), low: invert(bucket.high), close: invert(bucket.close) };
+    }
+
+    // Alert thresholds follow the pair's orientation too: a price level becomes 1/level and every
+    // direction swaps
+    invertAlert(alert) {
+        const swapped = { above: 'below', below: 'above', change_up: 'change_down', change_down: 'change_up' };
+        const isLevel = alert.type === 'above' || alert.type === 'below';
+        return {
+            ...alert,
+            value: isLevel && alert.value > 0 ? 1 / alert.value : alert.value,
+            type: swapped[alert.type] || alert.type
+        };
+    }
+
+    async compactAllHistory() {
+        for (const asset of this.getAllHistoryAssets()) {
+            await this.compactHistory(asset);
+        }
+    }
+
+    // Picks a resolution that keeps a chart of the span at a few hundred to a couple of thousand points
+    pickResolution(span) {
+        const day = 24 * 60 * 60 * 1000;
+        if (span <= day) return 'raw';
+        if (span <= 7 * day) return '5m';
+        if (span <= 90 * day) return '1h';
+        return '1d';
     }
 
-    async fetchForexRates() {
-        // open.er-api.com: free, no key, CORS-enabled, all currencies in one call
-        try {
-            const data = await this.requestWithRetry('https://open.er-api.com/v6/latest/USD');
-            if (data.rates) {
-                this.forexRates = { ...data.rates, USD: 1 };
+    // History between from and to at the requested resolution ('raw', '5m', '1h', '1d' or 'auto'),
+    // newest first. Finer data is aggregated up; tiers already coarser than requested are returned
+    // as they are, tagged with their own resolution. Bucketed points carry OHLC with price = close.
+    async queryHistory(asset, options = {}) {
+        await this.ready;
+        const { from = 0, to = Date.now() } = options;
+        const resolution = !options.resolution || options.resolution === 'auto'
+            ? this.pickResolution(to - from)
+            : options.resolution;
+        const tiers = ['5m', '1h', '1d'];
+        const size = resolution === 'raw' ? 0 : this.resolutions[resolution];
+        if (size === undefined) throw new Error(`Unknown resolution: ${resolution}`);
+
+        const raw = await this.loadHistory(asset, { from, to, limit: Infinity });
+        const finer = resolution === 'raw' ? [] : tiers.filter(tier => this.resolutions[tier] <= size);
+        const coarser = tiers.filter(tier => !finer.includes(tier));
+
+        const points = new Map();
+        const addBucket = (bucket, tierResolution) => {
+            if (!points.has(bucket.time)) {
+                points.set(bucket.time, {
+                    time: bucket.time, price: bucket.close,
+                    open: bucket.open, high: bucket.high, low: bucket.low, close: bucket.close,
+                    count: bucket.count, resolution: tierResolution
+                });
             }
-        } catch (error) {
-            window.logger && window.logger.warn('Failed to fetch forex rates for conversion:', error);
+        };
+
+        if (resolution === 'raw') {
+            raw.forEach(entry => points.set(entry.time, entry));
+        } else {
+            const parts = [];
+            for (const tier of finer) {
+                parts.push(...await this.history.queryRollups(asset, tier, { from: this.alignTime(from, tier), to }));
+            }
+            const usable = raw.filter(entry => entry.status !== 'fallback' && entry.price > 0);
+            this.rollup([...parts, ...usable], resolution).forEach(bucket => addBucket(bucket, resolution));
+        }
+        for (const tier of coarser) {
+            const buckets = await this.history.queryRollups(asset, tier, { from: this.alignTime(from, tier), to });
+            buckets.forEach(bucket => addBucket(bucket, tier));
         }
-    }
 
-    convertPrice(priceUSD, targetCurrency) {
-        if (!targetCurrency || targetCurrency === 'USD') return priceUSD;
-        const rate = this.forexRates[targetCurrency];
-        if (!rate) return priceUSD;
-        return priceUSD * rate;
+        return Array.from(points.values()).sort((a, b) => b.time - a.time);
     }
 
-    getAssetInfo(asset) {
-        return this.assets[asset];
-    }
+    // History resampled onto fixed slots of options.interval ms between from and to, newest first.
+    // Each slot takes the last price observed in it. Empty slots are flagged gap: true with price null;
+    // with fill: 'forward' they carry the previous price (filled: true) for up to maxFill slots in a row,
+    // so short polling hiccups are bridged while long outages stay visible as gaps.
+    async getSeries(asset, options = {}) {
+        const { to = Date.now(), interval = 5 * 60 * 1000, fill = 'none', maxFill = Infinity } = options;
+        const from = options.from !== undefined ? options.from : to - 24 * 60 * 60 * 1000;
+        if (!(interval > 0) || to < from) return [];
 
-    getAssetsByType(type) {
-        return Object.keys(this.assets).filter(asset => this.assets[asset].type === type);
-    }
-}
+        const resolution = ['1d', '1h', '5m'].find(tier => this.resolutions[tier] <= interval) || 'raw';
+        const points = (await this.queryHistory(asset, { from, to, resolution }))
+            .filter(point => point.status !== 'fallback' && point.price > 0)
+            .reverse();
 
-// ===== DATA STORAGE CLASS =====
-class DataStorage {
-    constructor() {
-        this.storageKey = 'priceTrackerData';
-        this.historyKey = 'priceHistory';
-        this.settingsKey = 'appSettings';
-        this.maxHistoryItems = 10000;
+        // Last known price before the window, so the first slots can be filled too
+        let previous = null;
+        if (fill === 'forward') {
+            const lookback = Math.max(0, from - maxFill * interval);
+            const [before] = await this.queryHistory(asset, { from: lookback, to: from - 1, resolution });
+            if (before && before.status !== 'fallback' && before.price > 0) previous = before.price;
+        }
+
+        const start = Math.floor(from / interval) * interval;
+        const series = [];
+        let index = 0;
+        let missing = 0;
+        for (let time = start; time <= to; time += interval) {
+            let price = null;
+            while (index < points.length && points[index].time < time + interval) {
+                if (points[index].time >= time) price = points[index].price;
+                index++;
+            }
+            if (price !== null) {
+                series.push({ time, price, gap: false });
+                previous = price;
+                missing = 0;
+            } else if (fill === 'forward' && previous !== null && ++missing <= maxFill) {
+                series.push({ time, price: previous, gap: true, filled: true });
+            } else {
+                series.push({ time, price: null, gap: true });
+            }
+        }
+        return series.reverse();
     }
 
-    saveHistory(history, asset = 'default') {
+    // Newest first; options: { from, to, limit }
+    async loadHistory(asset = 'default', options = {}) {
         try {
-            const key = `${this.historyKey}_${asset}`;
-            const limitedHistory = history.slice(0, this.maxHistoryItems);
-            localStorage.setItem(key, JSON.stringify(limitedHistory));
-            this.updateHistoryIndex(asset);
+            const records = await this.history.query(asset, { limit: this.maxHistoryItems, ...options });
+            return this.fromRecords(records);
         } catch (error) {
-            window.logger && window.logger.error('Failed to save history:', error);
-            this.clearOldHistory();
+            window.logger && window.logger.error('Failed to load history:', error);
+            return [];
         }
     }
 
-    loadHistory(asset = 'default') {
+    // Union of stored and incoming entries, newest first; existing points win on equal timestamps
+    async mergeHistory(asset, entries) {
         try {
-            const key = `${this.historyKey}_${asset}`;
-            const raw = localStorage.getItem(key);
-            if (!raw) return [];
-            return JSON.parse(raw);
+            await this.history.put(this.toRecords(asset, entries), false);
+            this.updateHistoryIndex(asset);
         } catch (error) {
-            window.logger && window.logger.error('Failed to load history:', error);
-            return [];
+            window.logger && window.logger.error('Failed to merge history:', error);
         }
+        return this.loadHistory(asset);
     }
 
     updateHistoryIndex(asset) {
@@ -421,17 +3091,15 @@ class DataStorage {
         }
     }
 
-    clearOldHistory() {
+    // Drops the oldest observations of any asset above maxHistoryItems
+    async clearOldHistory() {
         try {
-            const assets = this.getAllHistoryAssets();
-            assets.forEach(asset => {
-                const key = `${this.historyKey}_${asset}`;
-                const history = this.loadHistory(asset);
-                if (history.length > this.maxHistoryItems) {
-                    const trimmed = history.slice(0, this.maxHistoryItems);
-                    this.saveHistory(trimmed, asset);
-                }
-            });
+            for (const asset of this.getAllHistoryAssets()) {
+                const excess = (await this.history.count(asset)) - this.maxHistoryItems;
+                if (excess <= 0) continue;
+                const oldest = await this.history.query(asset, { ascending: true, limit: excess });
+                await this.history.deleteRange(asset, 0, oldest[oldest.length - 1].time);
+            }
         } catch (error) {
             window.logger && window.logger.error('Failed to clear old history:', error);
         }
@@ -440,6 +3108,8 @@ class DataStorage {
     saveSettings(settings) {
         try {
             localStorage.setItem(this.settingsKey, JSON.stringify(settings));
+            // Lets a backup merge tell whether its settings or the local ones are newer
+            localStorage.setItem('settingsUpdatedAt', String(Date.now()));
         } catch (error) {
             window.logger && window.logger.error('Failed to save settings:', error);
         }
@@ -463,7 +3133,15 @@ class DataStorage {
             refreshInterval: 300000, // 5 minutes
             soundEnabled: true,
             notificationsEnabled: true,
+            streamingEnabled: false,
+            consensusEnabled: false,
+            consensusTolerance: 2, // percent
             chartType: 'line',
+            chartProvider: 'native',
+            chartRange: '24h',
+            chartOverlays: [],
+            newsFilter: 'asset',
+            encryptBackups: false,
             showAdvancedMetrics: false,
             compactView: false,
             animationsEnabled: true,
@@ -472,19 +3150,80 @@ class DataStorage {
         };
     }
 
-    exportData() {
+    // Everything outside the history store that a backup carries: profile field -> localStorage key and
+    // the type the schema expects. Fields marked whole hold recorded data and are diffed as one value.
+    // Left out on purpose: API keys (userApiKeys) never go into a file; response, news and quote caches
+    // (apiResponseCache, newsCache, lastAssetPrices, lastQuoteMeta) are rebuilt on their own; apiUsage
+    // and errorLogs describe this device; provider recordings and fixtures have their own download.
+    getBackupFields() {
+        return {
+            userName: { key: 'userName', type: 'string' },
+            setupComplete: { key: 'setupComplete', type: 'string' },
+            selectedAssets: { key: 'userSelectedAssets', type: 'array', json: true },
+            pinnedAssets: { key: 'pinnedAssets', type: 'array', json: true },
+            customAssets: { key: 'customAssets', type: 'object', json: true },
+            invertedPairs: { key: 'invertedPairs', type: 'array', json: true },
+            displayCurrency: { key: 'displayCurrency', type: 'string' },
+            baseCurrency: { key: 'baseCurrency', type: 'string' },
+            theme: { key: 'selectedTheme', type: 'string' },
+            customThemes: { key: 'customThemes', type: 'object', json: true },
+            settings: { key: this.settingsKey, type: 'object', json: true },
+            alerts: { key: 'priceAlerts', type: 'array', json: true },
+            alertHistory: { key: 'alertHistory', type: 'array', json: true },
+            alertSettings: { key: 'alertSettings', type: 'object', json: true },
+            newsFeeds: { key: 'newsFeeds', type: 'array', json: true },
+            retention: { key: 'historyRetention', type: 'object', json: true },
+            proxyBaseUrl: { key: 'proxyBaseUrl', type: 'string' },
+            providerMode: { key: 'providerMode', type: 'string' },
+            forexRateHistory: { key: 'forexRateHistory', type: 'object', json: true, whole: true },
+            newsSentiment: { key: this.newsSentimentKey, type: 'object', json: true, whole: true },
+            bigMacDataset: { key: 'bigMacDataset', type: 'string', whole: true }
+        };
+    }
+
+    // Fields never set on this device are left out, so restoring does not overwrite defaults with nulls
+    readProfile() {
+        const profile = {};
+        Object.entries(this.getBackupFields()).forEach(([field, { key, json }]) => {
+            const raw = localStorage.getItem(key);
+            if (raw === null) return;
+            try {
+                profile[field] = json ? JSON.parse(raw) : raw;
+            } catch (error) {
+                window.logger && window.logger.warn(`Skipping unreadable ${key} in backup:`, error);
+            }
+        });
+        return profile;
+    }
+
+    // options.convert(price, asset, time) re-expresses prices in options.currency; the USD
+    // original is kept as priceUSD so the backup can be restored losslessly
+    async exportData(options = {}) {
         try {
+            await this.ready;
             const data = {
-                settings: this.loadSettings(),
-                assets: this.getAllHistoryAssets(),
-                histories: {},
+                format: this.backupFormat,
+                version: this.backupVersion,
                 exportDate: new Date().toISOString(),
-                version: '1.0'
+                currency: options.currency || 'USD',
+                settingsUpdatedAt: parseInt(localStorage.getItem('settingsUpdatedAt'), 10) || null,
+                profile: this.readProfile(),
+                histories: {},
+                rollups: {}
             };
             
-            data.assets.forEach(asset => {
-                data.histories[asset] = this.loadHistory(asset);
-            });
+            for (const asset of this.getAllHistoryAssets()) {
+                const history = await this.loadHistory(asset);
+                data.histories[asset] = options.convert
+                    ? history.map(entry => ({ ...entry, price: options.convert(entry.price, asset, entry.time), priceUSD: entry.price }))
+                    : history;
+                // Aggregated tiers stay in USD; they are restored as they were saved
+                data.rollups[asset] = {};
+                for (const resolution of Object.keys(this.resolutions)) {
+                    data.rollups[asset][resolution] = (await this.history.queryRollups(asset, resolution))
+                        .map(({ asset: _asset, ...bucket }) => bucket);
+                }
+            }
             
             return JSON.stringify(data, null, 2);
         } catch (error) {
@@ -493,28 +3232,550 @@ class DataStorage {
         }
     }
 
-    importData(jsonData) {
-        try {
-            const data = JSON.parse(jsonData);
-            
-            if (data.version && data.settings) {
-                this.saveSettings(data.settings);
-                
-                if (data.histories) {
-                    Object.keys(data.histories).forEach(asset => {
-                        this.saveHistory(data.histories[asset], asset);
-                    });
+    // Upgrades an older backup one version at a time; each step takes version n to n + 1
+    getBackupMigrations() {
+        return {
+            // 1.0: settings and histories at the top level, rollups and retention added later
+            1: (data) => ({
+                format: this.backupFormat,
+                version: 2,
+                exportDate: data.exportDate,
+                currency: data.currency || 'USD',
+                profile: {
+                    ...(data.settings ? { settings: data.settings } : {}),
+                    ...(data.retention ? { retention: data.retention } : {})
+                },
+                histories: data.histories || {},
+                rollups: data.rollups || {}
+            })
+        };
+    }
+
+    migrateBackup(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Backup is not a JSON object');
+        }
+        let version = parseInt(data.version, 10);
+        if (!version) throw new Error('Backup has no version');
+        if (version > this.backupVersion) {
+            throw new Error(`Backup version ${version} was made by a newer version of the app`);
+        }
+        const migrations = this.getBackupMigrations();
+        let migrated = data;
+        while (version < this.backupVersion) {
+            if (!migrations[version]) throw new Error(`No migration from backup version ${version}`);
+            migrated = migrations[version](migrated);
+            version = migrated.version;
+        }
+        return migrated;
+    }
+
+    // Checks a current-version backup; returns a list of problems, each naming the offending path
+    validateBackup(data) {
+        const errors = [];
+        const typeOf = (value) => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+        const expect = (value, type, path) => {
+            if (typeOf(value) === type) return true;
+            errors.push(`${path} should be ${type === 'array' || type === 'object' ? 'an' : 'a'} ${type}`);
+            return false;
+        };
+        const isNumber = (value) => typeof value === 'number' && isFinite(value);
+
+        if (data.format !== this.backupFormat) errors.push('format is not a price tracker backup');
+        expect(data.currency, 'string', 'currency');
+        if (data.settingsUpdatedAt !== undefined && data.settingsUpdatedAt !== null && !isNumber(data.settingsUpdatedAt)) {
+            errors.push('settingsUpdatedAt should be a number');
+        }
+
+        if (expect(data.profile, 'object', 'profile')) {
+            const fields = this.getBackupFields();
+            Object.entries(data.profile).forEach(([field, value]) => {
+                if (!fields[field]) {
+                    errors.push(`profile.${field} is not a known field`);
+                    return;
                 }
-                
-                return true;
+                expect(value, fields[field].type, `profile.${field}`);
+            });
+            const alertTypes = ['above', 'below', 'change_up', 'change_down'];
+            if (Array.isArray(data.profile.alerts)) {
+                data.profile.alerts.forEach((alert, i) => {
+                    if (typeOf(alert) !== 'object' || typeof alert.asset !== 'string' ||
+                        !alertTypes.includes(alert.type) || !isNumber(alert.value)) {
+                        errors.push(`profile.alerts[${i}] needs an asset, a known type and a numeric value`);
+                    }
+                });
             }
-            return false;
+            if (typeOf(data.profile.retention) === 'object') {
+                Object.entries(data.profile.retention).forEach(([tier, days]) => {
+                    if (!(isNumber(days) && days > 0)) errors.push(`profile.retention.${tier} should be a positive number`);
+                });
+            }
+        }
+
+        if (expect(data.histories, 'object', 'histories')) {
+            Object.entries(data.histories).forEach(([asset, history]) => {
+                if (!expect(history, 'array', `histories.${asset}`)) return;
+                history.forEach((entry, i) => {
+                    if (typeOf(entry) !== 'object' || !isNumber(entry.time) || !isNumber(entry.price)) {
+                        errors.push(`histories.${asset}[${i}] needs a numeric time and price`);
+                    }
+                });
+            });
+        }
+
+        if (data.rollups !== undefined && expect(data.rollups, 'object', 'rollups')) {
+            Object.entries(data.rollups).forEach(([asset, tiers]) => {
+                if (!expect(tiers, 'object', `rollups.${asset}`)) return;
+                Object.entries(tiers).forEach(([resolution, buckets]) => {
+                    if (!this.resolutions[resolution]) {
+                        errors.push(`rollups.${asset}.${resolution} is not a known resolution`);
+                        return;
+                    }
+                    if (!expect(buckets, 'array', `rollups.${asset}.${resolution}`)) return;
+                    buckets.forEach((bucket, i) => {
+                        if (!['time', 'open', 'high', 'low', 'close'].every(k => isNumber(bucket?.[k]))) {
+                            errors.push(`rollups.${asset}.${resolution}[${i}] needs numeric time and OHLC`);
+                        }
+                    });
+                });
+            });
+        }
+        return errors;
+    }
+
+    // Parses, migrates and validates a backup without applying it; throws with the first problems found
+    parseBackup(jsonData) {
+        let data;
+        try {
+            data = JSON.parse(jsonData);
+        } catch {
+            throw new Error('Backup is not valid JSON');
+        }
+        const backup = this.migrateBackup(data);
+        const errors = this.validateBackup(backup);
+        if (errors.length > 0) {
+            const more = errors.length > 5 ? ` (and ${errors.length - 5} more)` : '';
+            throw new Error(`${errors.slice(0, 5).join('; ')}${more}`);
+        }
+        return backup;
+    }
+
+    // Whether the backup's settings were saved after this device's; backups made before settings were
+    // timestamped fall back to their export date, and a device that never saved settings counts as oldest
+    isBackupNewer(backup) {
+        const incoming = backup.settingsUpdatedAt || Date.parse(backup.exportDate) || 0;
+        return incoming > (parseInt(localStorage.getItem('settingsUpdatedAt'), 10) || 0);
+    }
+
+    // Alerts count as duplicates when they watch the same asset, condition and threshold
+    getAlertKey(alert) {
+        return [alert.asset, alert.type, alert.value, alert.currency || 'USD'].join('|');
+    }
+
+    // What restoring the backup would change, per section, without touching anything
+    async diffBackup(backup) {
+        await this.ready;
+        const local = this.readProfile();
+        const fields = this.getBackupFields();
+        const profile = [];
+        Object.entries(backup.profile).forEach(([field, incoming]) => {
+            if (field === 'alerts' || field === 'alertHistory') return;
+            const current = local[field];
+            const isObject = (value) => value && typeof value === 'object' && !Array.isArray(value);
+            if (isObject(incoming) && isObject(current) && !fields[field].whole) {
+                // One level deep, so a settings object shows which options differ
+                Object.keys({ ...current, ...incoming }).forEach(key => {
+                    if (key in incoming && JSON.stringify(current[key]) !== JSON.stringify(incoming[key])) {
+                        profile.push({ field: `${field}.${key}`, current: current[key], incoming: incoming[key] });
+                    }
+                });
+            } else if (JSON.stringify(current) !== JSON.stringify(incoming)) {
+                profile.push({ field, current, incoming });
+            }
+        });
+
+        const history = [];
+        for (const [asset, entries] of Object.entries(backup.histories)) {
+            const stored = await this.history.count(asset);
+            let added = entries.length;
+            if (stored > 0 && entries.length > 0) {
+                const times = entries.map(entry => entry.time);
+                const existing = await this.history.query(asset, { from: Math.min(...times), to: Math.max(...times) });
+                const known = new Set(existing.map(record => record.time));
+                const fresh = await this.withoutRolledUpPeriods(asset, entries);
+                added = fresh.filter(entry => !known.has(entry.time)).length;
+            }
+            history.push({ asset, isNew: stored === 0, stored, incoming: entries.length, added });
+        }
+
+        const localAlerts = new Set((local.alerts || []).map(alert => this.getAlertKey(alert)));
+        const incomingAlerts = backup.profile.alerts || [];
+        const duplicates = incomingAlerts.filter(alert => localAlerts.has(this.getAlertKey(alert))).length;
+
+        return {
+            exportDate: backup.exportDate,
+            backupNewer: this.isBackupNewer(backup),
+            profile,
+            history,
+            alerts: {
+                incoming: incomingAlerts.length,
+                duplicates,
+                added: incomingAlerts.length - duplicates,
+                history: (backup.profile.alertHistory || []).length
+            }
+        };
+    }
+
+    // Merged profile value: lists are unioned, objects combined key by key and plain values taken
+    // from the side the user chose to prefer
+    mergeProfileValue(current, incoming, preferIncoming) {
+        if (current === undefined) return incoming;
+        if (Array.isArray(current) && Array.isArray(incoming)) {
+            const seen = new Set(current.map(item => JSON.stringify(item)));
+            return [...current, ...incoming.filter(item => !seen.has(JSON.stringify(item)))];
+        }
+        if (current && incoming && typeof current === 'object' && typeof incoming === 'object') {
+            return preferIncoming ? { ...current, ...incoming } : { ...incoming, ...current };
+        }
+        return preferIncoming ? incoming : current;
+    }
+
+    // Applies a parsed backup. modes picks 'replace', 'merge' or 'skip' for each of profile, history and
+    // alerts: replace overwrites the local values and each imported asset's stored series, merge keeps
+    // local data and adds what is missing (history unioned by timestamp, existing points win, and points
+    // in periods already rolled up locally dropped).
+    // modes.prefer ('local' or 'backup') decides merged values both sides set differently; it defaults to
+    // the side whose settings were saved last (isBackupNewer), and the import dialog lets the user override it.
+    async restoreBackup(backup, modes = {}) {
+        await this.ready;
+        const { profile = 'replace', history = 'replace', alerts = 'replace' } = modes;
+        const prefer = modes.prefer || (this.isBackupNewer(backup) ? 'backup' : 'local');
+        const fields = this.getBackupFields();
+        const local = this.readProfile();
+        const preferIncoming = prefer === 'backup';
+        const write = (field, value) => {
+            const { key, json } = fields[field];
+            localStorage.setItem(key, json ? JSON.stringify(value) : value);
+        };
+        // Bring the backup's series and alerts into the orientation the restored flags will name
+        const orientation = this.getOrientationChanges(backup, local, profile);
+        backup = this.invertBackupAssets(backup, orientation.incoming);
+
+        if (profile !== 'skip') {
+            Object.entries(backup.profile).forEach(([field, value]) => {
+                if (field === 'alerts' || field === 'alertHistory') return;
+                write(field, profile === 'merge' ? this.mergeProfileValue(local[field], value, preferIncoming) : value);
+            });
+            if (backup.settingsUpdatedAt && (profile === 'replace' || preferIncoming)) {
+                localStorage.setItem('settingsUpdatedAt', String(backup.settingsUpdatedAt));
+            }
+        }
+        // ...and what stays of this device's data into it as well
+        if (orientation.local.length > 0) {
+            const flipped = new Set(orientation.local);
+            for (const asset of flipped) await this.invertHistory(asset);
+            if (local.alerts) {
+                local.alerts = local.alerts.map(alert => (flipped.has(alert.asset) ? this.invertAlert(alert) : alert));
+                write('alerts', local.alerts);
+            }
+            try {
+                const lastPrices = JSON.parse(localStorage.getItem('lastAssetPrices') || '{}');
+                flipped.forEach(asset => {
+                    if (lastPrices[asset] > 0) lastPrices[asset] = 1 / lastPrices[asset];
+                });
+                localStorage.setItem('lastAssetPrices', JSON.stringify(lastPrices));
+            } catch (error) {
+                window.logger && window.logger.warn('Failed to invert saved prices:', error);
+            }
+        }
+
+        if (alerts !== 'skip' && backup.profile.alerts) {
+            if (alerts === 'merge') {
+                const known = new Set((local.alerts || []).map(alert => this.getAlertKey(alert)));
+                const ids = new Set((local.alerts || []).map(alert => alert.id));
+                let nextId = Date.now();
+                const added = backup.profile.alerts
+                    .filter(alert => !known.has(this.getAlertKey(alert)))
+                    .map(alert => (ids.has(alert.id) ? { ...alert, id: nextId++ } : alert));
+                write('alerts', [...(local.alerts || []), ...added]);
+            } else {
+                write('alerts', backup.profile.alerts);
+            }
+        }
+        if (alerts !== 'skip' && backup.profile.alertHistory) {
+            // Kept in trigger order so trimming to the newest 100 cannot drop recent local records
+            const triggered = (record) => Date.parse(record?.triggeredAt) || 0;
+            write('alertHistory', alerts === 'merge'
+                ? this.mergeProfileValue(local.alertHistory, backup.profile.alertHistory, preferIncoming)
+                    .sort((a, b) => triggered(a) - triggered(b))
+                    .slice(-100)
+                : backup.profile.alertHistory);
+        }
+
+        if (history === 'skip') return;
+        for (const [asset, entries] of Object.entries(backup.histories)) {
+            const restored = entries.map(({ priceUSD, ...entry }) =>
+                priceUSD !== undefined ? { ...entry, price: priceUSD } : entry
+            );
+            if (history === 'merge') {
+                const fresh = await this.withoutRolledUpPeriods(asset, restored);
+                await this.history.put(this.toRecords(asset, fresh), false);
+                this.updateHistoryIndex(asset);
+            } else {
+                await this.saveHistory(restored, asset);
+            }
+        }
+        for (const [asset, tiers] of Object.entries(backup.rollups || {})) {
+            for (const [resolution, buckets] of Object.entries(tiers)) {
+                if (history !== 'merge') await this.history.deleteRollups(asset, resolution);
+                await this.history.putRollups(buckets.map(bucket => ({ ...bucket, asset, resolution })), history !== 'merge');
+            }
+            this.updateHistoryIndex(asset);
+        }
+    }
+
+    // Stored prices and alert levels are expressed in the orientation invertedPairs names. Returns the
+    // currency pairs whose local data and whose incoming data disagree with the flags a restore with this
+    // profile mode leaves behind (replace takes the backup's list, merge the union, skip keeps the local one).
+    getOrientationChanges(backup, local, profileMode) {
+        const localPairs = new Set(local.invertedPairs || []);
+        const incomingPairs = new Set(backup.profile.invertedPairs || []);
+        let finalPairs = localPairs;
+        if (profileMode !== 'skip' && backup.profile.invertedPairs) {
+            finalPairs = profileMode === 'merge' ? new Set([...localPairs, ...incomingPairs]) : incomingPairs;
+        }
+        const assets = Array.from(new Set([...localPairs, ...incomingPairs]));
+        return {
+            local: assets.filter(asset => localPairs.has(asset) !== finalPairs.has(asset)),
+            incoming: assets.filter(asset => incomingPairs.has(asset) !== finalPairs.has(asset))
+        };
+    }
+
+    // Copy of the backup with the given assets' observations, candles and alerts inverted
+    invertBackupAssets(backup, assets) {
+        if (assets.length === 0) return backup;
+        const invert = (price) => (price > 0 ? 1 / price : price);
+        const targets = new Set(assets);
+        const histories = { ...backup.histories };
+        const rollups = { ...(backup.rollups || {}) };
+        assets.forEach(asset => {
+            if (histories[asset]) {
+                histories[asset] = histories[asset].map(entry => (entry.priceUSD !== undefined
+                    ? { ...entry, price: invert(entry.price), priceUSD: invert(entry.priceUSD) }
+                    : { ...entry, price: invert(entry.price) }));
+            }
+            if (rollups[asset]) {
+                rollups[asset] = Object.fromEntries(Object.entries(rollups[asset])
+                    .map(([resolution, buckets]) => [resolution, buckets.map(bucket => this.invertBucket(bucket))]));
+            }
+        });
+        const profile = { ...backup.profile };
+        if (profile.alerts) {
+            profile.alerts = profile.alerts.map(alert => (targets.has(alert.asset) ? this.invertAlert(alert) : alert));
+        }
+        return { ...backup, profile, histories, rollups };
+    }
+
+    async importData(jsonData) {
+        try {
+            await this.restoreBackup(this.parseBackup(jsonData));
+            return true;
         } catch (error) {
             window.logger && window.logger.error('Failed to import data:', error);
             return false;
         }
     }
 
+    // Full stored history per asset, oldest first. Rolled-up periods contribute one row per candle
+    // (its close), tagged with the resolution as source. options.convert(price, asset, time) and
+    // options.currencyFor(asset) re-express prices the same way exportData does.
+    async exportHistoryCsv(assets = this.getAllHistoryAssets(), options = {}) {
+        const rows = [];
+        for (const asset of assets) {
+            const points = (await this.queryHistory(asset, { from: 0, resolution: 'raw' }))
+                .filter(point => point.status !== 'fallback' && point.price > 0);
+            const currency = options.currencyFor ? options.currencyFor(asset) : 'USD';
+            points.reverse().forEach(point => rows.push({
+                timestamp: new Date(point.time).toISOString(),
+                asset,
+                price: options.convert ? options.convert(point.price, asset, point.time) : point.price,
+                currency,
+                source: point.resolution ? `${point.resolution} close` : (point.source || '')
+            }));
+        }
+        return CsvCodec.stringify(this.historyCsvColumns, rows);
+    }
+
+    // Best guess of which header holds each field, by common spreadsheet and exchange export names
+    guessCsvMapping(headers) {
+        const aliases = {
+            timestamp: ['timestamp', 'time', 'date', 'datetime', 'date time', 'unix', 'open time'],
+            price: ['price', 'close', 'adj close', 'close price', 'value', 'rate', 'last'],
+            asset: ['asset', 'symbol', 'ticker', 'coin', 'pair'],
+            currency: ['currency', 'ccy', 'quote'],
+            source: ['source', 'exchange']
+        };
+        const mapping = {};
+        Object.entries(aliases).forEach(([field, names]) => {
+            const header = headers.find(h => names.includes(h.trim().toLowerCase()));
+            if (header) mapping[field] = header;
+        });
+        return mapping;
+    }
+
+    // Unix seconds or milliseconds, ISO 8601, or day/month order for slash or dot dates. The format most
+    // of the column matches wins, so a few malformed rows are skipped rather than failing the file;
+    // day-first is assumed when nothing in the column disambiguates.
+    detectTimestampFormat(values) {
+        const sample = values.filter(Boolean).slice(0, 200);
+        const numeric = sample.filter(v => /^\d+(\.\d+)?$/.test(v));
+        const dated = sample.map(v => v.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/)).filter(Boolean);
+        const iso = sample.filter(v => /^\d{4}-\d{2}-\d{2}/.test(v) && !isNaN(Date.parse(v)));
+        const best = Math.max(numeric.length, dated.length, iso.length);
+        if (best === 0 || best < sample.length / 2) return null;
+
+        if (best === numeric.length) {
+            return numeric.every(v => parseFloat(v) > 1e11) ? 'unix-ms' : 'unix-s';
+        }
+        if (best === dated.length) {
+            return dated.some(m => parseInt(m[2], 10) > 12) ? 'mdy' : 'dmy';
+        }
+        return 'iso';
+    }
+
+    parseTimestamp(value, format) {
+        if (!value) return NaN;
+        if (format === 'unix-ms') return Math.round(parseFloat(value));
+        if (format === 'unix-s') return Math.round(parseFloat(value) * 1000);
+        if (format === 'dmy' || format === 'mdy') {
+            const m = value.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?/);
+            if (!m) return NaN;
+            const [day, month] = format === 'dmy' ? [m[1], m[2]] : [m[2], m[1]];
+            const year = m[3].length === 2 ? 2000 + parseInt(m[3], 10) : parseInt(m[3], 10);
+            return Date.UTC(year, month - 1, day, m[4] || 0, m[5] || 0, m[6] || 0);
+        }
+        return Date.parse(value);
+    }
+
+    // Reads a CSV into history entries without storing anything, so the mapping can be previewed.
+    // options: { mapping, format, asset (for files without an asset column), convert(price, asset, currency, time) }
+    parseHistoryCsv(text, options = {}) {
+        const { headers, records } = CsvCodec.parse(text);
+        const mapping = { ...this.guessCsvMapping(headers), ...(options.mapping || {}) };
+        if (!mapping.timestamp || !mapping.price) {
+            throw new Error('Choose the timestamp and price columns');
+        }
+        if (!mapping.asset && !options.asset) {
+            throw new Error('Choose an asset column or an asset for the whole file');
+        }
+        const format = options.format || this.detectTimestampFormat(records.map(r => r[mapping.timestamp]));
+        if (!format) throw new Error(`Unrecognised timestamp format in column "${mapping.timestamp}"`);
+        const decimalMark = options.decimalMark || CsvCodec.detectDecimalMark(records.map(r => r[mapping.price]));
+
+        const entries = [];
+        let skipped = 0;
+        records.forEach(record => {
+            const time = this.parseTimestamp(record[mapping.timestamp], format);
+            const asset = mapping.asset ? String(record[mapping.asset] || '').toLowerCase() : options.asset;
+            let price = CsvCodec.parseNumber(record[mapping.price], decimalMark);
+            const currency = mapping.currency ? (record[mapping.currency] || '').toUpperCase() : '';
+            if (options.convert && price > 0 && !isNaN(time)) price = options.convert(price, asset, currency, time);
+            if (!asset || isNaN(time) || !(price > 0)) {
+                skipped++;
+                return;
+            }
+            entries.push({ asset, time, price, source: (mapping.source && record[mapping.source]) || 'csv-import', status: 'imported' });
+        });
+        return { headers, mapping, format, decimalMark, entries, skipped };
+    }
+
+    // Stores parsed entries; timestamps already in history (or repeated in the file) are kept as they were.
+    // That includes timestamps now only held by a candle (its own time, as exported, and its first and
+    // last tick); other rows in a rolled-up period are merged into that candle by the next compaction.
+    async importHistoryCsv(entries) {
+        await this.ready;
+        const byAsset = {};
+        entries.forEach(({ asset, ...entry }) => {
+            (byAsset[asset] = byAsset[asset] || []).push(entry);
+        });
+        const result = { imported: 0, duplicates: 0, assets: Object.keys(byAsset) };
+        for (const [asset, list] of Object.entries(byAsset)) {
+            if (this.compactions[asset]) await this.compactions[asset];
+            const fresh = await this.withoutRolledUpTimes(asset, list);
+            const before = await this.history.count(asset);
+            await this.history.put(this.toRecords(asset, fresh), false);
+            const added = (await this.history.count(asset)) - before;
+            this.updateHistoryIndex(asset);
+            result.imported += added;
+            result.duplicates += list.length - added;
+        }
+        return result;
+    }
+
+    // Stored candles per resolution whose periods overlap the entries' time span
+    async queryCoveringRollups(asset, entries) {
+        const from = entries.reduce((min, entry) => Math.min(min, entry.time), Infinity);
+        const to = entries.reduce((max, entry) => Math.max(max, entry.time), -Infinity);
+        const covering = {};
+        for (const resolution of Object.keys(this.resolutions)) {
+            covering[resolution] = await this.history.queryRollups(asset, resolution, { from: this.alignTime(from, resolution), to });
+        }
+        return covering;
+    }
+
+    async withoutRolledUpTimes(asset, entries) {
+        if (entries.length === 0) return entries;
+        const known = new Set();
+        Object.values(await this.queryCoveringRollups(asset, entries)).forEach(buckets => {
+            buckets.forEach(bucket => [bucket.time, bucket.openTime, bucket.closeTime].forEach(time => known.add(time)));
+        });
+        return entries.filter(entry => !known.has(entry.time));
+    }
+
+    // Drops entries in any period a stored candle already summarises, as compaction would have folded them in
+    async withoutRolledUpPeriods(asset, entries) {
+        if (entries.length === 0) return entries;
+        const covered = Object.entries(await this.queryCoveringRollups(asset, entries))
+            .map(([resolution, buckets]) => [resolution, new Set(buckets.map(bucket => bucket.time))]);
+        return entries.filter(entry =>
+            !covered.some(([resolution, times]) => times.has(this.alignTime(entry.time, resolution)))
+        );
+    }
+
+    // One point per article, keyed by its id and timed by its publish date, so refetching the same
+    // headlines adds nothing. Points from before articles were keyed (hourly aggregates) are dropped.
+    recordNewsSentiment(scores, time = Date.now()) {
+        try {
+            const history = JSON.parse(localStorage.getItem(this.newsSentimentKey) || '{}');
+            const cutoff = time - this.maxNewsSentimentAge;
+            Object.entries(scores).forEach(([asset, articles]) => {
+                const points = (history[asset] || []).filter(p => p.id && p.time >= cutoff);
+                const known = new Set(points.map(p => p.id));
+                articles.forEach(point => {
+                    if (known.has(point.id) || point.time < cutoff) return;
+                    known.add(point.id);
+                    points.push(point);
+                });
+                history[asset] = points.sort((a, b) => a.time - b.time).slice(-this.maxNewsSentimentPoints);
+            });
+            localStorage.setItem(this.newsSentimentKey, JSON.stringify(history));
+            return true;
+        } catch (error) {
+            window.logger && window.logger.error('Failed to save news sentiment:', error);
+            return false;
+        }
+    }
+
+    loadNewsSentiment(asset) {
+        try {
+            const history = JSON.parse(localStorage.getItem(this.newsSentimentKey) || '{}');
+            return (history[asset] || []).filter(p => p.id);
+        } catch (error) {
+            window.logger && window.logger.error('Failed to load news sentiment:', error);
+            return [];
+        }
+    }
+
     getStorageStats() {
         try {
             let totalSize = 0;
@@ -539,11 +3800,12 @@ class DataStorage {
         }
     }
 
-    clearAllData() {
+    async clearAllData() {
         try {
+            await this.history.clear();
             const keys = Object.keys(localStorage);
             keys.forEach(key => {
-                if (key.includes('priceTracker') || key.includes('priceHistory') || key.includes('appSettings')) {
+                if (key.includes('priceTracker') || key.includes('priceHistory') || key.includes('appSettings') || key === 'apiResponseCache') {
                     localStorage.removeItem(key);
                 }
             });
@@ -561,6 +3823,28 @@ class Analytics {
         this.indicators = {};
         this.patterns = [];
         this.predictions = {};
+        // Finance headline lexicon, scores -3..3; tokens are matched after stripping plural/tense suffixes
+        this.sentimentLexicon = {
+            surge: 3, soar: 3, rally: 2, jump: 2, climb: 2, gain: 2, rise: 1, rebound: 2, recover: 2, recovery: 2,
+            high: 1, record: 1, boom: 3, bull: 2, bullish: 3, outperform: 2, beat: 2, upgrade: 2, strong: 2,
+            strength: 2, growth: 2, profit: 2, optimism: 2, optimistic: 2, approve: 2, approval: 2, adopt: 1,
+            adoption: 2, inflow: 2, breakthrough: 2, support: 1, positive: 2, win: 2, boost: 2, upbeat: 2,
+            plunge: -3, crash: -3, collapse: -3, tumble: -3, slump: -2, fall: -2, drop: -2, slide: -2, sink: -2,
+            decline: -2, low: -1, loss: -2, lose: -2, bear: -2, bearish: -3, underperform: -2, miss: -2,
+            downgrade: -2, weak: -2, weakness: -2, fear: -2, panic: -3, sell: -1, selloff: -3, outflow: -2,
+            hack: -3, exploit: -3, fraud: -3, scam: -3, lawsuit: -2, sue: -2, ban: -3, crackdown: -2, probe: -2,
+            investigation: -2, fine: -1, default: -3, bankruptcy: -3, bankrupt: -3, liquidation: -2, risk: -1,
+            volatile: -1, volatility: -1, uncertainty: -1, concern: -1, warn: -2, warning: -2, recession: -2,
+            inflation: -1, negative: -2, reject: -2, delay: -1, halt: -2
+        };
+        this.sentimentNegators = ['not', 'no', 'never', 'without', 'fails', 'failed', 'despite'];
+    }
+
+    static median(values) {
+        if (!values || values.length === 0) return null;
+        const sorted = [...values].sort((a, b) => a - b);
+        const mid = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
     }
 
     calculateMovingAverage(prices, period) {
@@ -675,6 +3959,28 @@ class Analytics {
         };
     }
 
+    // Rolling series for charting; input and output are oldest first, null until the window fills
+    calculateSMASeries(prices, period) {
+        return prices.map((_, i) => i + 1 < period
+            ? null
+            : this.calculateMovingAverage(prices.slice(i + 1 - period, i + 1), period));
+    }
+
+    calculateEMASeries(prices, period) {
+        const multiplier = 2 / (period + 1);
+        let ema = null;
+        return prices.map((price, i) => {
+            ema = ema === null ? price : (price * multiplier) + (ema * (1 - multiplier));
+            return i + 1 < period ? null : ema;
+        });
+    }
+
+    calculateBollingerSeries(prices, period = 20, stdDev = 2) {
+        return prices.map((_, i) => i + 1 < period
+            ? null
+            : this.calculateBollingerBands(prices.slice(i + 1 - period, i + 1), period, stdDev));
+    }
+
     detectPatterns(prices) {
         if (!prices || prices.length < 10) return [];
         
@@ -820,7 +4126,16 @@ class Analytics {
         return Math.max(10, Math.min(95, confidence));
     }
 
+    // Fallback placeholders are not observations and must not feed indicators. For a resampled series
+    // (DataStorage.getSeries) only the newest unbroken stretch is used, so indicators never span a gap.
+    getUsableHistory(priceHistory) {
+        const usable = (priceHistory || []).filter(h => h && h.status !== 'fallback');
+        const gapAt = usable.findIndex(h => h.gap && h.price === null);
+        return gapAt >= 0 ? usable.slice(0, gapAt) : usable;
+    }
+
     getMarketSentiment(priceHistory) {
+        priceHistory = this.getUsableHistory(priceHistory);
         if (!priceHistory || priceHistory.length < 5) {
             return { sentiment: 'Neutral', confidence: 50 };
         }
@@ -865,7 +4180,74 @@ class Analytics {
         };
     }
 
+    getLexiconScore(token) {
+        // Own keys only: plain 'in' also finds inherited names such as 'constructor'
+        if (Object.hasOwn(this.sentimentLexicon, token)) return this.sentimentLexicon[token];
+        const stem = token.replace(/(ies|es|s|ed|ing|d)$/, '');
+        // rallies -> rally, rising -> rise, dropped -> drop
+        const candidates = [stem, `${stem}e`, `${stem}y`, stem.replace(/(.)\1$/, '$1')];
+        const match = candidates.find(c => Object.hasOwn(this.sentimentLexicon, c));
+        return match ? this.sentimentLexicon[match] : 0;
+    }
+
+    // Sum of lexicon hits, flipped when a negator appears within the three words before, then squashed
+    // into -1..1 so long headlines do not dominate
+    scoreHeadline(text) {
+        const tokens = (text || '').toLowerCase().split(/[^a-z]+/).filter(Boolean);
+        let total = 0;
+        const hits = [];
+        tokens.forEach((token, i) => {
+            let value = this.getLexiconScore(token);
+            if (!value) return;
+            if (tokens.slice(Math.max(0, i - 3), i).some(t => this.sentimentNegators.includes(t))) {
+                value = -value;
+            }
+            total += value;
+            hits.push(token);
+        });
+        return { score: total / Math.sqrt(total * total + 15), hits };
+    }
+
+    // { asset: [{ id, time, score }] }: one point per scoring headline for every asset it is tagged with,
+    // identified by its canonical link and timed by when it was published
+    scoreNews(articles) {
+        const scores = {};
+        (articles || []).forEach(article => {
+            const { score, hits } = this.scoreHeadline(article.title);
+            if (hits.length === 0) return;
+            const point = {
+                id: NewsFeedParser.canonicalUrl(article.url),
+                time: Date.parse(article.publishedAt),
+                score: Math.round(score * 1000) / 1000
+            };
+            if (isNaN(point.time)) return;
+            (article.assets || []).forEach(asset => {
+                (scores[asset] = scores[asset] || []).push(point);
+            });
+        });
+        return scores;
+    }
+
+    // Mean score of the headlines published in the latest 24h, compared with the 24h before
+    getNewsSentiment(points, now = Date.now()) {
+        const day = 24 * 60 * 60 * 1000;
+        const mean = (list) => (list.length > 0 ? list.reduce((sum, p) => sum + p.score, 0) / list.length : null);
+        const recent = (points || []).filter(p => p.time >= now - day);
+        const previous = (points || []).filter(p => p.time < now - day && p.time >= now - 2 * day);
+        const score = mean(recent);
+        if (score === null) return null;
+
+        const prior = mean(previous);
+        return {
+            sentiment: score > 0.15 ? 'Positive' : score < -0.15 ? 'Negative' : 'Neutral',
+            score,
+            trend: prior === null ? null : score - prior,
+            headlines: recent.length
+        };
+    }
+
     generateReport(asset, priceHistory) {
+        priceHistory = this.getUsableHistory(priceHistory);
         if (!priceHistory || priceHistory.length < 5) return null;
         
         const prices = priceHistory.map(h => h.price).filter(p => p && !isNaN(p));
@@ -934,6 +4316,8 @@ class AlertSystem {
         this.soundEnabled = true;
         this.notificationPermission = 'default';
         this.alertHistory = [];
+        // Set by the tracker: (priceUSD, asset, currency) => price in that currency
+        this.priceConverter = null;
         this.init();
     }
 
@@ -960,12 +4344,13 @@ class AlertSystem {
         localStorage.setItem('alertSettings', JSON.stringify(settings));
     }
 
-    addAlert(asset, type, value, message = '') {
+    addAlert(asset, type, value, message = '', currency = 'USD') {
         const alert = {
             id: Date.now(),
             asset,
             type,
             value,
+            currency,
             message,
             active: true,
             created: new Date().toISOString(),
@@ -989,14 +4374,19 @@ class AlertSystem {
         }
     }
 
-    checkAlerts(currentPrices, previousPrices = {}) {
+    checkAlerts(currentPrices, previousPrices = {}, quotes = {}, previousQuotes = {}) {
         const triggeredAlerts = [];
         
         this.alerts.forEach(alert => {
             if (!alert.active || alert.triggered) return;
+            // Never fire on a built-in placeholder price, now or as the base of a change
+            if (quotes[alert.asset]?.status === 'fallback') return;
+            const isChange = alert.type === 'change_up' || alert.type === 'change_down';
+            if (isChange && previousQuotes[alert.asset]?.status === 'fallback') return;
             
-            const currentPrice = currentPrices[alert.asset];
-            const previousPrice = previousPrices[alert.asset] || currentPrice;
+            const currentPrice = this.toAlertCurrency(currentPrices[alert.asset], alert);
+            const previousPrice = this.toAlertCurrency(previousPrices[alert.asset], alert) || currentPrice;
+            const unit = !alert.currency || alert.currency === 'USD' ? '$' : `${alert.currency} `;
             
             if (!currentPrice || isNaN(currentPrice)) return;
             
@@ -1006,12 +4396,12 @@ class AlertSystem {
             switch (alert.type) {
                 case 'above':
                     shouldTrigger = currentPrice > alert.value;
-                    alertMessage = alertMessage || `${alert.asset.toUpperCase()} is above $${alert.value}`;
+                    alertMessage = alertMessage || `${alert.asset.toUpperCase()} is above ${unit}${alert.value}`;
                     break;
                     
                 case 'below':
                     shouldTrigger = currentPrice < alert.value;
-                    alertMessage = alertMessage || `${alert.asset.toUpperCase()} is below $${alert.value}`;
+                    alertMessage = alertMessage || `${alert.asset.toUpperCase()} is below ${unit}${alert.value}`;
                     break;
                     
                 case 'change_up':
@@ -1054,6 +4444,11 @@ class AlertSystem {
         return triggeredAlerts;
     }
 
+    toAlertCurrency(price, alert) {
+        if (!price || !this.priceConverter || !alert.currency) return price;
+        return this.priceConverter(price, alert.asset, alert.currency);
+    }
+
     showNotification(alert) {
         if (this.notificationPermission === 'granted') {
             const notification = new Notification('Price Alert', {
@@ -1188,6 +4583,16 @@ class AlertSystem {
         };
     }
 
+    exportAlertsCsv() {
+        const columns = ['id', 'asset', 'type', 'value', 'currency', 'message', 'active', 'created', 'triggered', 'triggeredAt', 'triggeredPrice'];
+        return CsvCodec.stringify(columns, this.alerts);
+    }
+
+    exportAlertHistoryCsv() {
+        const columns = ['triggeredAt', 'asset', 'type', 'value', 'currency', 'currentPrice', 'message'];
+        return CsvCodec.stringify(columns, this.loadAlertHistory());
+    }
+
     importAlerts(data) {
         try {
             if (data.alerts) {
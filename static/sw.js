@@ -5,12 +5,19 @@ const STATIC_ASSETS = [
     '/setup.html',
     '/static/style.css',
     '/static/core.js',
+    '/static/chart.js',
     '/static/app.js',
     '/static/logger.js',
+    '/static/data/big-mac-index.csv',
     '/static/favicon.ico',
     '/static/manifest.json'
 ];
 
+// API hosts derived from the page's provider registry, feeds and proxy (UniversalAPI.getAllowedHosts),
+// pushed on load and whenever they change. Until then, or after the worker restarts, cross-origin
+// requests are simply not intercepted.
+let apiHosts = [];
+
 self.addEventListener('install', (event) => {
     event.waitUntil(
         caches.open(CACHE_NAME).then(cache => {
@@ -40,17 +47,9 @@ self.addEventListener('fetch', (event) => {
     if (request.method !== 'GET') return;
     
     // Skip external API calls (always fetch fresh)
-    const ALLOWED_API_HOSTS = [
-        'api.binance.com',
-        'open.er-api.com',
-        'api.metalpriceapi.com',
-        'api.allorigins.win',
-        'api.rss2json.com',
-        's3.tradingview.com'
-    ];
     try {
         const requestHost = new URL(request.url).hostname;
-        if (ALLOWED_API_HOSTS.includes(requestHost)) {
+        if (apiHosts.includes(requestHost)) {
             event.respondWith(fetch(request));
             return;
         }
@@ -81,6 +80,9 @@ self.addEventListener('message', (event) => {
     if (event.data && event.data.type === 'CACHE_PRICES') {
         // handled passively — no action needed
     }
+    if (event.data && event.data.type === 'SET_API_HOSTS' && Array.isArray(event.data.hosts)) {
+        apiHosts = event.data.hosts.filter(host => typeof host === 'string' && /^[a-z0-9.-]+$/i.test(host));
+    }
 });
 
 // Background sync support